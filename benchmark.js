@@ -4,21 +4,57 @@
  * Enhanced benchmark showing timeout capabilities
  */
 
-const Fiber = require('fibers');
 const yj = require('yieldable-json');
 const fs = require('fs');
+const http = require('http');
 const crypto = require('crypto');
-
-// Simple AbortController polyfill for Node 14
-class SimpleAbortController {
-  constructor() {
-    this.signal = { aborted: false };
+const os = require('os');
+const path = require('path');
+const { Writable } = require('stream');
+const { performance, monitorEventLoopDelay, PerformanceObserver, constants: perfConstants } = require('perf_hooks');
+const { Worker } = require('worker_threads');
+const {
+  stringifyAsync,
+  parseAsync,
+  stringifyStream,
+  pipeStringify,
+  Serializer,
+  CooperativeScheduler,
+  destroyDefaultWorkerPool,
+  AbortController: AbortControllerImpl,
+  SimpleAbortController,
+  linkSignal
+} = require('./index');
+// performance.eventLoopUtilization arrived in Node 14.10
+const hasElu = typeof performance.eventLoopUtilization === 'function';
+
+// fibers is installed separately and has no builds for Node 16+. Without it
+// the fiber approach is reported as unavailable and everything else still
+// runs. Its prebuilt binaries live in bin/<platform>-<arch>-<ABI>[-libc];
+// when there is none for this Node, requiring it would print a rebuild
+// hint to stderr and throw, so that is checked first
+function loadFibers() {
+  let packageDir;
+  try {
+    packageDir = path.dirname(require.resolve('fibers/package.json'));
+  } catch (error) {
+    return { reason: 'fibers is not installed' };
   }
-  abort() {
-    this.signal.aborted = true;
+  const prefix = `${process.platform}-${process.arch}-${process.versions.modules}`;
+  const binDir = path.join(packageDir, 'bin');
+  const builds = fs.existsSync(binDir) ? fs.readdirSync(binDir) : [];
+  if (!builds.some(name => name === prefix || name.startsWith(`${prefix}-`))) {
+    return { reason: `no fibers binary for Node ${process.version}; fibers does not build on Node 16+` };
+  }
+  try {
+    return { Fiber: require('fibers') };
+  } catch (error) {
+    return { reason: `fibers failed to load: ${error.message.split('\n')[0]}` };
   }
 }
 
+const { Fiber = null, reason: fiberUnavailableReason = null } = loadFibers();
+
 // ============================================================================
 // Fixed Fiber Implementation
 // ============================================================================
@@ -34,7 +70,13 @@ class Block {
     if (!this.resolved) {
       this.resolved = true;
       if (this.fiber) {
-        this.fiber.run();
+        // A cancelled fiber is resumed with its cancel reason thrown from
+        // wait(), which unwinds whatever it was running
+        if (this.fiber.cancelReason) {
+          this.fiber.throwInto(this.fiber.cancelReason);
+        } else {
+          this.fiber.run();
+        }
       }
     }
   }
@@ -46,25 +88,42 @@ class Block {
   }
 }
 
-function runWithFiber(fn, timeoutMs) {
+function runWithFiber(fn, timeoutMs, signal) {
   return new Promise((resolve, reject) => {
-    let timedOut = false;
+    if (!Fiber) {
+      reject(new Error(`Fibers unavailable: ${fiberUnavailableReason}`));
+      return;
+    }
+    const controller = new SimpleAbortController();
+    let fiber = null;
+
+    // Reject right away, and have the fiber stop at its next yield instead
+    // of running fn to completion in the background
+    controller.signal.addEventListener('abort', () => {
+      if (fiber) {
+        fiber.cancelReason = controller.signal.reason;
+      }
+      reject(controller.signal.reason);
+    });
+    const unlink = linkSignal(signal, controller);
+    if (controller.signal.aborted) return;
 
-    const timeoutId = setTimeout(() => {
-      timedOut = true;
-      reject(new Error(`Fiber timeout after ${timeoutMs}ms`));
+    const timeoutId = timeoutMs === undefined ? null : setTimeout(() => {
+      controller.abort(new Error(`Fiber timeout after ${timeoutMs}ms`));
     }, timeoutMs);
 
-    const fiber = Fiber(() => {
+    fiber = Fiber(() => {
       try {
         const result = fn();
         clearTimeout(timeoutId);
-        if (!timedOut) {
+        unlink();
+        if (!controller.signal.aborted) {
           resolve(result);
         }
       } catch (error) {
         clearTimeout(timeoutId);
-        if (!timedOut) {
+        unlink();
+        if (!controller.signal.aborted) {
           reject(error);
         }
       }
@@ -116,347 +175,844 @@ function fiberStringify(obj, yieldEveryMs = 5) {
   return result;
 }
 
+function fiberParse(text, reviver, yieldEveryMs = 5) {
+  // JSON.parse itself cannot be paused, so the fiber can only yield while the
+  // reviver walks the already-built tree
+  let lastYield = process.hrtime();
+  let callCount = 0;
+  const CHECK_INTERVAL = 100; // Check time every 100 calls
+
+  function optionalPause() {
+    const diff = process.hrtime(lastYield);
+    const elapsedMs = diff[0] * 1000 + diff[1] / 1e6;
+
+    if (elapsedMs > yieldEveryMs) {
+      const block = new Block();
+      setImmediate(() => block.success());
+      block.wait();
+      lastYield = process.hrtime();
+    }
+  }
+
+  return JSON.parse(text, function(key, value) {
+    callCount++;
+
+    if (callCount % CHECK_INTERVAL === 0) {
+      optionalPause();
+    }
+
+    return typeof reviver === 'function' ? reviver.call(this, key, value) : value;
+  });
+}
+
 // ============================================================================
 // Async Implementation Options
 // ============================================================================
 
-// Approach 1: yieldable-json library - designed for this exact use case
-async function asyncStringifyYieldable(obj, timeoutMs, yieldEveryMs = 10) {
+// yieldable-json library - designed for this exact use case.
+// It yields after every 512 * intensity values (1-32) rather than on a time
+// budget, so there is no yieldEveryMs here
+async function asyncStringifyYieldable(obj, timeoutMs, intensity = 1, signal) {
+  const controller = new SimpleAbortController();
+  const unlink = linkSignal(signal, controller);
+  let timeoutId;
+
+  // yieldable-json has no cancellation hook, but it calls the replacer for
+  // every value. Once aborted, dropping every value lets its generator run
+  // out within a few steps - and reset its module-level state, which a
+  // concurrent call would otherwise trample - instead of serializing the
+  // rest of the object in the background
+  const replacer = function(key, value) {
+    return controller.signal.aborted ? undefined : value;
+  };
+
+  try {
+    controller.signal.throwIfAborted();
+    if (timeoutMs !== undefined) {
+      timeoutId = setTimeout(() => {
+        controller.abort(new Error(`Yieldable-json timeout after ${timeoutMs}ms`));
+      }, timeoutMs);
+    }
+
+    // yieldable-json takes a callback as the 4th parameter. On abort we
+    // wait for it anyway, so rejection means the library has really stopped
+    return await new Promise((resolve, reject) => {
+      yj.stringifyAsync(obj, replacer, null, intensity, (err, res) => {
+        if (controller.signal.aborted) reject(controller.signal.reason);
+        else if (err) reject(err);
+        else resolve(res);
+      });
+    });
+  } finally {
+    clearTimeout(timeoutId);
+    unlink();
+  }
+}
+
+// The latest yieldable-json parse, settled either way. Its parser keeps its
+// state at module level, so a parse started while another is still running
+// corrupts both ("Bad object"); see the yieldable approach's settle()
+let yieldableParsePending = Promise.resolve();
+
+// Parse counterpart of asyncStringifyYieldable. The parser offers no per-value hook, so
+// unlike stringify this cannot be cancelled: it rejects on time, but the
+// parse keeps running in the background until it completes
+async function asyncParseYieldable(text, timeoutMs, signal) {
   const controller = new SimpleAbortController();
+  const unlink = linkSignal(signal, controller);
+  let timeoutId;
+
+  const parse = new Promise((resolve, reject) => {
+    yj.parseAsync(text, (err, res) => {
+      if (err) reject(err);
+      else resolve(res);
+    });
+  });
+  yieldableParsePending = parse.then(() => {}, () => {});
 
   try {
-    // yieldable-json takes a callback as the 4th parameter
     const result = await Promise.race([
-      new Promise((resolve, reject) => {
-        yj.stringifyAsync(obj, null, null, (err, res) => {
-          if (err) reject(err);
-          else resolve(res);
-        });
-      }),
+      parse,
       new Promise((_, reject) => {
-        setTimeout(() => {
-          controller.abort();
-          reject(new Error(`Yieldable-json timeout after ${timeoutMs}ms`));
-        }, timeoutMs);
+        controller.signal.addEventListener('abort', () => reject(controller.signal.reason));
+        controller.signal.throwIfAborted();
+        if (timeoutMs !== undefined) {
+          timeoutId = setTimeout(() => {
+            controller.abort(new Error(`Yieldable-json parse timeout after ${timeoutMs}ms`));
+          }, timeoutMs);
+        }
       })
     ]);
 
     return result;
-  } catch (error) {
-    if (controller.signal.aborted) {
-      throw new Error(`Yieldable-json timeout after ${timeoutMs}ms`);
-    }
-    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+    unlink();
   }
 }
 
-// Approach 2: Custom async stringify (our implementation)
-async function asyncStringify(obj, timeoutMs, yieldEveryMs = 5) {
-  const controller = new SimpleAbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+// describeTimings for approaches that pass SliceScheduler summaries to onTimings
+function describeSlices({ budgetMs, yields, clockReads, sliceP50Ms, sliceP90Ms, sliceP99Ms, sliceMaxMs }) {
+  return [
+    `Slices: ${yields} yields, ${clockReads} clock reads per run (budget ${budgetMs}ms)`,
+    `Slice length p50/p90/p99/max=${sliceP50Ms}/${sliceP90Ms}/${sliceP99Ms}/${sliceMaxMs}ms`
+  ];
+}
 
-  // Exactly matching fiber implementation approach
-  let lastYield = process.hrtime();
-  let callCount = 0;
-  const CHECK_INTERVAL = 100; // Check time every 100 calls like fibers
+// ============================================================================
+// Approach Registry
+// ============================================================================
 
-  async function checkAndYield() {
-    callCount++;
+// Every approach the benchmark runs, keyed by its --approach name. An approach
+// is an object with:
+//   key               --approach name (lowercase letters, digits and dashes)
+//   name              label used in output and results files
+//   description       one line for --help and section headers
+//   available()       false when it cannot run here; it is then skipped and
+//                     reported as unavailable
+//   unavailableReason optional; why available() is false
+//   stringify(value, { signal, timeoutMs, yieldEveryMs, onTimings, onProgress })
+//                     resolves to the same string as JSON.stringify(value);
+//                     onProgress (for --progress) is optional to honour
+//   parse(text, { signal, timeoutMs, yieldEveryMs })
+//                     optional; resolves to the same value as JSON.parse(text)
+//   blocking          true for baselines that cannot yield or be interrupted;
+//                     they run once and skip the interruption tests
+//   parseCancellable  false if a timed-out parse keeps running in the background
+//   settle()          optional; resolves once work a timed-out call left
+//                     running has finished. Awaited before every run, outside
+//                     the timing, so runs never overlap
+//   serializer(value, { yieldEveryMs })
+//                     optional; a Serializer-like object with start(),
+//                     pause(), resume(), abort() and `progress`, for the
+//                     pause/resume test
+//   describeTimings(averages)
+//                     optional; lines describing what was passed to onTimings
+// Extra approaches are loaded with --load <file>, a module exporting one
+// approach or an array of them
+const registry = new Map();
+
+function registerApproach(approach) {
+  if (!approach || typeof approach !== 'object') {
+    throw new TypeError('An approach must be an object');
+  }
+  const { key, name, stringify, parse } = approach;
+  if (typeof key !== 'string' || !/^[a-z0-9-]+$/.test(key)) {
+    throw new TypeError(`Approach key must be lowercase letters, digits and dashes, got ${JSON.stringify(key)}`);
+  }
+  if (registry.has(key)) {
+    throw new Error(`Approach "${key}" is already registered`);
+  }
+  if (typeof name !== 'string' || name === '') {
+    throw new TypeError(`Approach "${key}" needs a name`);
+  }
+  if (typeof stringify !== 'function') {
+    throw new TypeError(`Approach "${key}" needs a stringify(value, options) function`);
+  }
+  if (parse !== undefined && typeof parse !== 'function') {
+    throw new TypeError(`Approach "${key}" has a parse that is not a function`);
+  }
 
-    // Check every 100 calls
-    if (callCount % CHECK_INTERVAL === 0) {
-      const diff = process.hrtime(lastYield);
-      const elapsedMs = diff[0] * 1000 + diff[1] / 1e6;
+  registry.set(key, {
+    description: '',
+    available: () => true,
+    blocking: false,
+    parseCancellable: true,
+    ...approach
+  });
+}
 
-      if (elapsedMs > yieldEveryMs) {
-        await new Promise(r => setImmediate(r));
-        lastYield = process.hrtime();
-      }
-    }
+// Registers the approaches exported by a user-supplied module
+function loadApproaches(file) {
+  const exported = require(path.resolve(file));
+  const approaches = Array.isArray(exported) ? exported : [exported];
+  for (const approach of approaches) {
+    registerApproach(approach);
+  }
+  return approaches.map(approach => approach.key);
+}
 
-    if (controller.signal.aborted) {
-      throw new Error(`Async timeout after ${timeoutMs}ms`);
+registerApproach({
+  key: 'native',
+  name: 'Native',
+  description: 'JSON.stringify / JSON.parse baseline',
+  blocking: true,
+  stringify: async value => JSON.stringify(value),
+  parse: async text => JSON.parse(text)
+});
+
+registerApproach({
+  key: 'fiber',
+  name: 'Fiber',
+  description: 'node-fibers, Fiber.yield on a time budget',
+  available: () => Fiber !== null,
+  unavailableReason: fiberUnavailableReason,
+  stringify: (value, { signal, timeoutMs, yieldEveryMs } = {}) =>
+    runWithFiber(() => fiberStringify(value, yieldEveryMs), timeoutMs, signal),
+  // JSON.parse itself blocks; only the reviver walk yields
+  parse: (text, { signal, timeoutMs, yieldEveryMs } = {}) =>
+    runWithFiber(() => fiberParse(text, null, yieldEveryMs), timeoutMs, signal)
+});
+
+registerApproach({
+  key: 'yieldable',
+  name: 'Yieldable-json',
+  description: 'production library, yields by value count',
+  // yieldEveryMs does not apply - see asyncStringifyYieldable
+  stringify: (value, { signal, timeoutMs } = {}) => asyncStringifyYieldable(value, timeoutMs, 1, signal),
+  parse: (text, { signal, timeoutMs } = {}) => asyncParseYieldable(text, timeoutMs, signal),
+  parseCancellable: false,
+  settle: () => yieldableParsePending
+});
+
+registerApproach({
+  key: 'async',
+  name: 'Custom async',
+  description: 'stringifyAsync walking every value, and parseAsync',
+  stringify: (value, { signal, timeoutMs, yieldEveryMs, onTimings, onProgress } = {}) =>
+    stringifyAsync(value, {
+      strategy: 'walk', timeoutMs, yieldEveryMs, signal, onSchedule: onTimings, onProgress, prescan: Boolean(onProgress)
+    }),
+  serializer: (value, { yieldEveryMs } = {}) => new Serializer(value, { strategy: 'walk', yieldEveryMs }),
+  parse: (text, { signal, timeoutMs, yieldEveryMs } = {}) =>
+    parseAsync(text, { timeoutMs, yieldEveryMs, signal }),
+  describeTimings: describeSlices
+});
+
+registerApproach({
+  key: 'optimized',
+  name: 'Optimized async',
+  description: 'stringifyAsync with a native fast path for small subtrees',
+  stringify: (value, { signal, timeoutMs, yieldEveryMs, onTimings, onProgress } = {}) =>
+    stringifyAsync(value, {
+      strategy: 'fast-path', timeoutMs, yieldEveryMs, signal, onSchedule: onTimings, onProgress, prescan: Boolean(onProgress)
+    }),
+  serializer: (value, { yieldEveryMs } = {}) => new Serializer(value, { strategy: 'fast-path', yieldEveryMs }),
+  describeTimings: describeSlices
+});
+
+registerApproach({
+  key: 'worker',
+  name: 'Worker thread',
+  description: 'JSON.stringify offloaded to a worker pool',
+  stringify: (value, { signal, timeoutMs, onTimings } = {}) =>
+    stringifyAsync(value, { strategy: 'worker', timeoutMs, signal, onTimings }),
+  describeTimings: ({ serializeMs, cloneInMs, deliverMs, returnMs }) => [
+    `Serialization in worker: ${serializeMs}ms avg`,
+    `Transfer: clone in ${cloneInMs}ms (blocks main thread), deliver ${deliverMs}ms, result back ${returnMs}ms`
+  ]
+});
+
+registerApproach({
+  key: 'stream',
+  name: 'Streaming',
+  description: 'Readable stream of chunks, joined here',
+  stringify: async (value, { signal, timeoutMs, yieldEveryMs } = {}) => {
+    const chunks = [];
+    for await (const chunk of stringifyStream(value, { timeoutMs, yieldEveryMs, signal })) {
+      chunks.push(chunk);
     }
+    // No chunks at all is JSON.stringify's undefined, not an empty string
+    return chunks.length > 0 ? chunks.join('') : undefined;
   }
+});
 
-  // Custom stringify that can actually yield
-  async function stringify(value, visited = new WeakSet()) {
-    await checkAndYield();
-
-    if (value === null || value === undefined) return 'null';
+// ============================================================================
+// Test Object Generator
+// ============================================================================
 
-    const type = typeof value;
+// Small, fast seeded PRNG (mulberry32) so every run builds the same payloads
+// and reference hashes compare across runs and machines
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+  const pick = items => items[Math.floor(next() * items.length)];
+  const word = (minLength = 3, maxLength = 10) => {
+    let text = '';
+    for (let i = int(minLength, maxLength); i > 0; i--) {
+      text += String.fromCharCode(97 + int(0, 25));
+    }
+    return text;
+  };
+  return { next, int, pick, word };
+}
 
-    // Handle primitives - but be careful with huge strings!
-    if (type !== 'object') {
-      if (type === 'string') {
-        // For large strings, process in chunks to avoid blocking
-        if (value.length > 10000) {
-          // Escape the string manually in chunks
-          let result = '"';
-          for (let i = 0; i < value.length; i += 10000) {
-            const chunk = value.slice(i, Math.min(i + 10000, value.length));
-            // Use JSON.stringify on small chunks
-            const escaped = JSON.stringify(chunk);
-            // Remove the quotes that JSON.stringify adds
-            result += escaped.slice(1, -1);
+// Fixed clock for generated timestamps
+const BASE_TIME = Date.UTC(2024, 0, 1);
+
+// Workload shapes, selectable with --profile. Each scales with `size` to
+// roughly 2KB of JSON per unit, so size 10000 is ~20MB whatever the shape
+const WORKLOAD_PROFILES = {
+  default: {
+    description: 'arrays of small records with repeated strings',
+    generate(size, random) {
+      const obj = { arrays: [], objects: {} };
+
+      // Create nested structure based on size
+      for (let i = 0; i < size; i++) {
+        // Add arrays with data
+        obj.arrays.push(Array(10).fill(null).map((_, j) => ({
+          id: `${i}_${j}`,
+          data: 'x'.repeat(100),
+          nested: { value: random.next() }
+        })));
+
+        // Add object properties
+        obj.objects[`prop_${i}`] = {
+          data: 'y'.repeat(200),
+          timestamp: BASE_TIME + i * 1000,
+          items: Array(5).fill(null).map(() => ({ val: random.next() }))
+        };
+      }
 
-            // Yield periodically for huge strings
-            if (i % 100000 === 0 && i > 0) {
-              await checkAndYield();
-            }
-          }
-          result += '"';
-          return result;
+      return obj;
+    }
+  },
+
+  deep: {
+    description: 'chains nested 500 levels deep, with the odd side branch',
+    generate(size, random) {
+      const DEPTH = 500;
+      const chains = [];
+      for (let c = Math.max(1, Math.round(size / 10)); c > 0; c--) {
+        let node = { depth: DEPTH, label: random.word() };
+        for (let depth = DEPTH - 1; depth >= 0; depth--) {
+          const children = [node];
+          if (random.next() < 0.1) children.push({ leaf: random.word() });
+          node = { depth, label: random.word(), children };
         }
+        chains.push(node);
       }
-      // Small strings and other primitives are safe
-      return JSON.stringify(value);
+      return { chains };
     }
-
-    if (visited.has(value)) return '"[Circular]"';
-    visited.add(value);
-
-    if (Array.isArray(value)) {
-      const parts = [];
-      for (const item of value) {
-        parts.push(await stringify(item, visited));
+  },
+
+  wide: {
+    description: 'one object with ~100 keys per unit',
+    generate(size, random) {
+      const wide = {};
+      for (let i = 0; i < size * 100; i++) {
+        const kind = i % 3;
+        wide[`field_${i}`] = kind === 0 ? random.int(0, 1e6) : kind === 1 ? random.word() : random.next() < 0.5;
       }
-      return '[' + parts.join(',') + ']';
+      return { wide };
     }
-
-    const entries = [];
-    for (const [key, val] of Object.entries(value)) {
-      if (val !== undefined && typeof val !== 'function') {
-        entries.push(JSON.stringify(key) + ':' + await stringify(val, visited));
+  },
+
+  string: {
+    description: 'a single huge string of ~2000 characters per unit',
+    generate(size, random) {
+      const vocabulary = Array.from({ length: 256 }, () => random.word());
+      const words = [];
+      let length = 0;
+      while (length < size * 2000) {
+        const word = random.pick(vocabulary);
+        words.push(word);
+        length += word.length + 1;
       }
+      return { id: 1, text: words.join(' ') };
     }
-    return '{' + entries.join(',') + '}';
-  }
+  },
+
+  escape: {
+    description: 'strings full of quotes, control characters, unicode and lone surrogates',
+    generate(size, random) {
+      const pieces = [
+        '"quoted"', '\\back\\slash', '\n', '\t', '\r\n', '\u0000', '\u001f', '\b\f',
+        '  ', 'ümlaut', '日本語のテキスト', '😀', '👩‍👩‍👧', '\ud800', '\udc00',
+        '</script>', 'plain', 'text'
+      ];
+      const records = [];
+      for (let i = 0; i < size * 15; i++) {
+        const parts = [];
+        for (let j = 0; j < 16; j++) parts.push(random.pick(pieces));
+        records.push({ id: i, [`k"${random.pick(pieces)}`]: parts.join(' ') });
+      }
+      return { records };
+    }
+  },
+
+  numeric: {
+    description: 'one flat array of ~130 mixed numbers per unit',
+    generate(size, random) {
+      const values = new Array(size * 130);
+      for (let i = 0; i < values.length; i++) {
+        const kind = random.int(0, 9);
+        if (kind < 4) values[i] = random.next() * 1e6 - 5e5;
+        else if (kind < 7) values[i] = random.int(-1e9, 1e9);
+        else if (kind === 7) values[i] = random.next() * 1e-7;
+        else if (kind === 8) values[i] = random.next() * 1e22;
+        else values[i] = random.pick([0, -0, NaN, Infinity]);
+      }
+      return { values };
+    }
+  },
+
+  sparse: {
+    description: 'arrays that are mostly holes (serialized as null)',
+    generate(size, random) {
+      const sparse = new Array(size * 400);
+      for (let i = 0; i < sparse.length; i++) {
+        if (random.next() < 0.01) sparse[i] = { index: i, value: random.word() };
+        else if (random.next() < 0.01) sparse[i] = undefined;
+      }
+      return { length: sparse.length, sparse };
+    }
+  },
+
+  api: {
+    description: 'paginated API response of user records with nested orders',
+    generate(size, random) {
+      const firstNames = ['Ada', 'Grace', 'Linus', 'Margaret', 'Ken', 'Barbara', 'Dennis', 'Radia'];
+      const lastNames = ['Lovelace', 'Hopper', 'Torvalds', 'Hamilton', 'Thompson', 'Liskov', 'Ritchie', 'Perlman'];
+      const hex = length => Array.from({ length }, () => random.int(0, 15).toString(16)).join('');
+      const date = () => new Date(BASE_TIME + random.int(0, 365 * 24 * 3600) * 1000).toISOString();
+
+      const data = [];
+      for (let i = 0; i < size * 3; i++) {
+        const first = random.pick(firstNames);
+        const last = random.pick(lastNames);
+        data.push({
+          id: `${hex(8)}-${hex(4)}-${hex(4)}-${hex(4)}-${hex(12)}`,
+          name: `${first} ${last}`,
+          email: `${first}.${last}${i}@example.com`.toLowerCase(),
+          active: random.next() < 0.8,
+          balance: Math.round(random.next() * 1e6) / 100,
+          createdAt: date(),
+          lastLoginAt: random.next() < 0.3 ? null : date(),
+          tags: Array.from({ length: random.int(0, 5) }, () => random.word(4, 8)),
+          address: {
+            street: `${random.int(1, 999)} ${random.word()} St`,
+            city: random.word(5, 9),
+            zip: String(random.int(10000, 99999)),
+            country: random.pick(['US', 'DE', 'JP', 'BR', 'IN'])
+          },
+          preferences: { theme: random.pick(['light', 'dark']), notifications: random.next() < 0.5 },
+          orders: Array.from({ length: random.int(0, 3) }, () => ({
+            orderId: hex(10),
+            status: random.pick(['pending', 'shipped', 'delivered', 'cancelled']),
+            placedAt: date(),
+            items: Array.from({ length: random.int(1, 3) }, () => ({
+              sku: `SKU-${random.int(1000, 9999)}`,
+              quantity: random.int(1, 5),
+              price: Math.round(random.next() * 20000) / 100
+            }))
+          }))
+        });
+      }
 
-  try {
-    const result = await stringify(obj);
-    clearTimeout(timeoutId);
-    return result;
-  } catch (error) {
-    clearTimeout(timeoutId);
-    throw error;
+      return {
+        status: 'ok',
+        meta: { page: 1, perPage: data.length, total: data.length * 10 },
+        data,
+        links: { self: '/api/users?page=1', next: '/api/users?page=2' }
+      };
+    }
+  }
+};
+
+// Builds the payload for a profile; the same size, profile and seed always
+// give the same object
+function createTestObject(size, { profile = 'default', seed = 1 } = {}) {
+  const workload = WORKLOAD_PROFILES[profile];
+  if (!workload) {
+    throw new Error(`Unknown profile: ${profile} (expected one of ${Object.keys(WORKLOAD_PROFILES).join(', ')})`);
   }
+  return workload.generate(size, createRandom(seed));
 }
 
-// Approach 3: Optimized async stringify
-async function asyncStringifyOptimized(obj, timeoutMs, yieldEveryMs = 5) {
-  const controller = new SimpleAbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
-
-  // Optimization 1: Use Date.now() instead of process.hrtime()
-  let lastYield = Date.now();
-  let operations = 0;
-  let bytesProcessed = 0;
-  const CHECK_INTERVAL = 1000; // Optimization 2: Check less frequently
-  const BATCH_SIZE = 50; // Process multiple array items at once
-
-  async function checkAndYield() {
-    operations++;
+// ============================================================================
+// Fixture Loading
+// ============================================================================
 
-    // Only check time periodically
-    if (operations % CHECK_INTERVAL === 0) {
-      const now = Date.now();
+const FIXTURE_EXTENSIONS = ['.json', '.ndjson', '.jsonl'];
 
-      if (now - lastYield > yieldEveryMs) {
-        await new Promise(r => setImmediate(r));
-        lastYield = Date.now();
-        bytesProcessed = 0; // Reset byte counter after yield
+// Expands files and directories (searched recursively) into a sorted list of
+// fixture files. Throws for a missing path, so a typo fails before the run
+function findFixtures(paths) {
+  const files = [];
+  const visit = (target, explicit) => {
+    let stats;
+    try {
+      stats = fs.statSync(target);
+    } catch (error) {
+      throw new Error(`Cannot read fixture path ${target}: ${error.code || error.message}`);
+    }
+    if (stats.isDirectory()) {
+      for (const entry of fs.readdirSync(target).sort()) {
+        visit(path.join(target, entry), false);
       }
+    } else if (explicit || FIXTURE_EXTENSIONS.includes(path.extname(target).toLowerCase())) {
+      files.push(target);
     }
+  };
 
-    if (controller.signal.aborted) {
-      throw new Error(`Async timeout after ${timeoutMs}ms`);
-    }
+  for (const target of paths) visit(target, true);
+  if (files.length === 0) {
+    throw new Error(`No ${FIXTURE_EXTENSIONS.join('/')} files found in ${paths.join(', ')}`);
   }
+  return files;
+}
 
-  // Helper to check if object is safe for JSON.stringify
-  function isSafeObject(obj) {
-    if (obj === null || typeof obj !== 'object') return true;
-    if (Array.isArray(obj)) {
-      return obj.length < 10 && obj.every(isSafeObject);
-    }
-    const keys = Object.keys(obj);
-    if (keys.length > 20) return false;
+// Reads and parses a fixture with parseAsync, so a huge capture does not block
+// the event loop while it loads. NDJSON (.ndjson/.jsonl) becomes an array with
+// one element per non-empty line
+async function loadFixture(file) {
+  const text = await fs.promises.readFile(file, 'utf8');
+  const ndjson = ['.ndjson', '.jsonl'].includes(path.extname(file).toLowerCase());
 
-    return Object.values(obj).every(val => {
-      const type = typeof val;
-      return type === 'string' ? val.length < 1000 :
-             type === 'number' || type === 'boolean' || val === null;
-    });
+  if (!ndjson) {
+    try {
+      return { value: await parseAsync(text), records: null };
+    } catch (error) {
+      throw new Error(`${file}: ${error.message}`);
+    }
   }
 
-  // Optimized stringify with batching
-  async function stringify(value, visited = new WeakSet()) {
-    // Don't check for every value - only at strategic points
-    if (operations % 100 === 0) {
-      await checkAndYield();
+  const value = [];
+  const lines = text.split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    if (lines[i].trim() === '') continue;
+    try {
+      value.push(await parseAsync(lines[i]));
+    } catch (error) {
+      throw new Error(`${file}:${i + 1}: ${error.message}`);
     }
+  }
+  return { value, records: value.length };
+}
 
-    if (value === null || value === undefined) return 'null';
+// ============================================================================
+// Event Loop Monitor
+// ============================================================================
 
-    const type = typeof value;
+// Event-loop lag from perf_hooks.monitorEventLoopDelay (a libuv timer every
+// `resolutionMs`, so blocks down to a few ms are visible) plus event-loop
+// utilization over the same window. Lag is measured between timer ticks, so
+// start() waits for the first tick and stop() for the one after a block.
+// Each sample is a whole tick interval, so the timer's own `resolutionMs` is
+// taken off every statistic to leave only the delay
+class EventLoopMonitor {
+  constructor({ resolutionMs = 1 } = {}) {
+    this.resolutionMs = resolutionMs;
+    this.histogram = null;
+    this.eluStart = null;
+  }
 
-    // Handle primitives
-    if (type !== 'object') {
-      operations++;
-      if (type === 'string') {
-        bytesProcessed += value.length;
-        // Only chunk truly massive strings
-        if (value.length > 100000) {
-          let result = '"';
-          for (let i = 0; i < value.length; i += 50000) {
-            const chunk = value.slice(i, Math.min(i + 50000, value.length));
-            const escaped = JSON.stringify(chunk);
-            result += escaped.slice(1, -1);
+  async start() {
+    this.histogram = monitorEventLoopDelay({ resolution: this.resolutionMs });
+    this.histogram.enable();
+    await new Promise(r => setTimeout(r, this.resolutionMs * 2));
+    this.eluStart = hasElu ? performance.eventLoopUtilization() : null;
+  }
 
-            if (i % 500000 === 0 && i > 0) {
-              await checkAndYield();
-            }
-          }
-          result += '"';
-          return result;
-        }
-      }
-      return JSON.stringify(value);
-    }
+  async stop() {
+    const utilization = hasElu ? performance.eventLoopUtilization(this.eluStart).utilization : null;
+    await new Promise(r => setTimeout(r, this.resolutionMs));
 
-    if (visited.has(value)) return '"[Circular]"';
-    visited.add(value);
+    const histogram = this.histogram;
+    histogram.disable();
+    const ms = ns => Math.round(Math.max(0, ns / 1e6 - this.resolutionMs) * 100) / 100;
+    // An empty histogram reports max=0, min=2^63 and mean=NaN
+    const sampled = histogram.max > 0;
 
-    // Optimization: Use native JSON.stringify for small, safe objects
-    if (isSafeObject(value)) {
-      operations += 10; // Count as multiple operations
-      return JSON.stringify(value);
-    }
+    return {
+      min: sampled ? ms(histogram.min) : 0,
+      mean: sampled ? ms(histogram.mean) : 0,
+      p50: ms(histogram.percentile(50)),
+      p90: ms(histogram.percentile(90)),
+      p99: ms(histogram.percentile(99)),
+      max: ms(histogram.max),
+      utilization
+    };
+  }
+}
 
-    // Check yield at start of complex objects
-    await checkAndYield();
+function formatEventLoopStats({ min, mean, p50, p90, p99, max, utilization }) {
+  const elu = utilization === null ? '' : `, ELU ${(utilization * 100).toFixed(0)}%`;
+  return `lag min/mean/p50/p90/p99/max=${min}/${mean}/${p50}/${p90}/${p99}/${max}ms${elu}`;
+}
 
-    if (Array.isArray(value)) {
-      const parts = [];
+// ============================================================================
+// Heap Sampler
+// ============================================================================
 
-      // Process array in batches
-      for (let i = 0; i < value.length; i += BATCH_SIZE) {
-        const batch = value.slice(i, Math.min(i + BATCH_SIZE, value.length));
+// Tracks heap, RSS and external memory over a run: heap used at start() and
+// stop(), and the peaks in between. Samples on a 1ms timer and whenever
+// sample() is called, so blocking approaches are only seen at their edges -
+// run with --expose-gc for a clean baseline
+class HeapSampler {
+  constructor() {
+    this.baseline = null;
+    this.peak = null;
+    this.interval = null;
+  }
 
-        // Process batch
-        for (const item of batch) {
-          parts.push(await stringify(item, visited));
-        }
+  start() {
+    if (global.gc) global.gc();
+    const { heapUsed, rss, external } = process.memoryUsage();
+    this.baseline = { heapUsed, external };
+    this.peak = { heapUsed, rss, external };
+    this.interval = setInterval(() => this.sample(), 1);
+  }
 
-        // Check after each batch
-        if (i > 0 && i % (BATCH_SIZE * 10) === 0) {
-          await checkAndYield();
-        }
+  sample() {
+    const usage = process.memoryUsage();
+    for (const key of ['heapUsed', 'rss', 'external']) {
+      if (usage[key] > this.peak[key]) {
+        this.peak[key] = usage[key];
       }
+    }
+    return usage;
+  }
 
-      return '[' + parts.join(',') + ']';
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
     }
+    const { heapUsed } = this.sample();
+    const mb = bytes => bytes / 1024 / 1024;
 
-    // Object case - use array for string building
-    const entries = [];
-    let keyCount = 0;
+    return {
+      peakHeapMB: mb(this.peak.heapUsed - this.baseline.heapUsed),
+      heapBeforeMB: mb(this.baseline.heapUsed),
+      heapAfterMB: mb(heapUsed),
+      peakRssMB: mb(this.peak.rss),
+      peakExternalMB: mb(this.peak.external - this.baseline.external)
+    };
+  }
+}
 
-    for (const [key, val] of Object.entries(value)) {
-      if (val !== undefined && typeof val !== 'function') {
-        entries.push(JSON.stringify(key) + ':' + await stringify(val, visited));
-        keyCount++;
+// ============================================================================
+// GC Observer
+// ============================================================================
 
-        // Check after processing multiple keys
-        if (keyCount % 100 === 0) {
-          await checkAndYield();
-        }
-      }
-    }
+const GC_KINDS = {
+  [perfConstants.NODE_PERFORMANCE_GC_MINOR]: 'minor',
+  [perfConstants.NODE_PERFORMANCE_GC_MAJOR]: 'major',
+  [perfConstants.NODE_PERFORMANCE_GC_INCREMENTAL]: 'incremental',
+  [perfConstants.NODE_PERFORMANCE_GC_WEAKCB]: 'weakcb'
+};
+
+// Counts GC pauses between start() and stop(), in total and by kind, from
+// the 'gc' performance entries. Entries are delivered asynchronously, so
+// stop() lets pending ones arrive before disconnecting
+class GcObserver {
+  constructor() {
+    this.entries = [];
+    this.observer = null;
+  }
 
-    return '{' + entries.join(',') + '}';
+  start() {
+    this.entries = [];
+    this.observer = new PerformanceObserver(list => {
+      this.entries.push(...list.getEntries());
+    });
+    this.observer.observe({ entryTypes: ['gc'] });
   }
 
-  try {
-    const result = await stringify(obj);
-    clearTimeout(timeoutId);
-    return result;
-  } catch (error) {
-    clearTimeout(timeoutId);
-    throw error;
+  async stop() {
+    await new Promise(r => setImmediate(r));
+    this.observer.disconnect();
+
+    const summary = { count: 0, totalMs: 0, maxMs: 0, byKind: {} };
+    for (const entry of this.entries) {
+      // Node 16+ moved kind into detail and deprecated the old property
+      const kind = GC_KINDS[entry.detail ? entry.detail.kind : entry.kind] || 'other';
+      const stats = summary.byKind[kind] || (summary.byKind[kind] = { count: 0, totalMs: 0, maxMs: 0 });
+      for (const target of [summary, stats]) {
+        target.count++;
+        target.totalMs += entry.duration;
+        target.maxMs = Math.max(target.maxMs, entry.duration);
+      }
+    }
+    return summary;
   }
 }
 
-
-// ============================================================================
-// Test Object Generator
-// ============================================================================
-
-function createTestObject(size) {
-  const obj = { arrays: [], objects: {} };
-
-  // Create nested structure based on size
-  for (let i = 0; i < size; i++) {
-    // Add arrays with data
-    obj.arrays.push(Array(10).fill(null).map((_, j) => ({
-      id: `${i}_${j}`,
-      data: 'x'.repeat(100),
-      nested: { value: Math.random() }
-    })));
-
-    // Add object properties
-    obj.objects[`prop_${i}`] = {
-      data: 'y'.repeat(200),
-      timestamp: Date.now(),
-      items: Array(5).fill(null).map(() => ({ val: Math.random() }))
-    };
+// Averages GC summaries over several runs; maxMs stays the worst single pause
+function averageGc(summaries) {
+  const average = { count: 0, totalMs: 0, maxMs: 0, byKind: {} };
+  const add = (target, stats) => {
+    target.count += stats.count / summaries.length;
+    target.totalMs += stats.totalMs / summaries.length;
+    target.maxMs = Math.max(target.maxMs, stats.maxMs);
+  };
+  for (const summary of summaries) {
+    add(average, summary);
+    for (const [kind, stats] of Object.entries(summary.byKind)) {
+      add(average.byKind[kind] || (average.byKind[kind] = { count: 0, totalMs: 0, maxMs: 0 }), stats);
+    }
   }
+  return average;
+}
+
+function formatMemory({ heapBeforeMB, heapAfterMB, peakHeapMB, peakRssMB, peakExternalMB }) {
+  return `heap ${heapBeforeMB.toFixed(1)}MB -> ${heapAfterMB.toFixed(1)}MB, peak +${peakHeapMB.toFixed(1)}MB, ` +
+    `peak RSS ${peakRssMB.toFixed(1)}MB, external peak +${peakExternalMB.toFixed(1)}MB`;
+}
 
-  return obj;
+function formatGc({ count, totalMs, maxMs, byKind }) {
+  const kinds = Object.entries(byKind)
+    .map(([kind, stats]) => `${kind} ${+stats.count.toFixed(1)} (${stats.totalMs.toFixed(1)}ms)`)
+    .join(', ');
+  return `${+count.toFixed(1)} pauses, ${totalMs.toFixed(1)}ms total, max ${maxMs.toFixed(1)}ms${kinds ? ` - ${kinds}` : ''}`;
 }
 
 // ============================================================================
-// Event Loop Monitor
+// HTTP Latency Probe
 // ============================================================================
 
-class EventLoopMonitor {
-  constructor() {
-    this.intervals = 0;
-    this.blocks = [];
-    this.lastCheck = Date.now();
-    this.interval = null;
+// Runs in a worker so requests go out on schedule even while the main
+// thread is blocked: latency is measured from when a request was due, not
+// from when a blocked client got round to sending it
+const HTTP_CLIENT_SOURCE = `
+const { parentPort, workerData } = require('worker_threads');
+const http = require('http');
+
+const agent = new http.Agent({ keepAlive: true });
+const latencies = [];
+let outstanding = 0;
+let errors = 0;
+let stopping = false;
+
+const finish = () => {
+  if (stopping && outstanding === 0) {
+    agent.destroy();
+    parentPort.postMessage({ latencies, errors });
   }
-
-  start() {
-    this.intervals = 0;
-    this.blocks = [];
-    this.lastCheck = Date.now();
-
-    this.interval = setInterval(() => {
-      const now = Date.now();
-      const elapsed = now - this.lastCheck;
-      if (elapsed > 20) {
-        this.blocks.push(elapsed);
-      }
-      this.lastCheck = now;
-      this.intervals++;
-    }, 10);
+};
+
+const timer = setInterval(() => {
+  const start = process.hrtime.bigint();
+  outstanding++;
+  http.get({ host: '127.0.0.1', port: workerData.port, path: '/', agent }, res => {
+    res.resume();
+    res.on('end', () => {
+      latencies.push(Number(process.hrtime.bigint() - start) / 1e6);
+      outstanding--;
+      finish();
+    });
+  }).on('error', () => {
+    errors++;
+    outstanding--;
+    finish();
+  });
+}, workerData.intervalMs);
+
+parentPort.on('message', () => {
+  clearInterval(timer);
+  stopping = true;
+  finish();
+});
+`;
+
+// A tiny HTTP server on this process's event loop, and a client worker
+// sending it small GETs at `ratePerSecond` between start() and stop().
+// stop() returns the request count, errors and p50/p90/p99/max latency
+class HttpLatencyProbe {
+  constructor({ ratePerSecond = 200 } = {}) {
+    this.intervalMs = Math.max(1, Math.round(1000 / ratePerSecond));
+    this.server = http.createServer((req, res) => res.end('ok'));
+    this.client = null;
   }
 
-  stop() {
-    if (this.interval) {
-      clearInterval(this.interval);
-      this.interval = null;
+  async start() {
+    if (!this.server.listening) {
+      await new Promise((resolve, reject) => {
+        this.server.once('error', reject);
+        this.server.listen(0, '127.0.0.1', resolve);
+      });
     }
+    this.client = new Worker(HTTP_CLIENT_SOURCE, {
+      eval: true,
+      workerData: { port: this.server.address().port, intervalMs: this.intervalMs }
+    });
+    await new Promise((resolve, reject) => {
+      this.client.once('online', resolve);
+      this.client.once('error', reject);
+    });
+  }
+
+  async stop() {
+    const client = this.client;
+    this.client = null;
+    const { latencies, errors } = await new Promise((resolve, reject) => {
+      client.once('message', resolve);
+      client.once('error', reject);
+      client.postMessage('stop');
+    });
+    await client.terminate();
 
+    const sorted = latencies.sort((a, b) => a - b);
+    const ms = value => sorted.length === 0 ? null : Math.round(value * 100) / 100;
     return {
-      intervals: this.intervals,
-      maxBlock: Math.max(0, ...this.blocks),
-      blockCount: this.blocks.length,
-      blocks: this.blocks
+      requests: sorted.length,
+      errors,
+      p50: ms(quantile(sorted, 0.5)),
+      p90: ms(quantile(sorted, 0.9)),
+      p99: ms(quantile(sorted, 0.99)),
+      max: ms(sorted[sorted.length - 1])
     };
   }
+
+  close() {
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+}
+
+function formatHttpLatency({ requests, errors, p50, p90, p99, max }) {
+  const failed = errors > 0 ? `, ${errors} failed` : '';
+  if (requests === 0) return `no responses${failed}`;
+  return `${requests} requests${failed}, latency p50/p90/p99/max=${p50}/${p90}/${p99}/${max}ms`;
 }
 
 // ============================================================================
@@ -489,78 +1045,358 @@ function validateOutput(result, expected) {
 }
 
 // ============================================================================
-// Test Runner with Multiple Iterations
+// Timing Statistics
 // ============================================================================
 
-// Run a single test
-async function runSingleTest(name, fn, obj, timeout) {
-  const monitor = new EventLoopMonitor();
-  monitor.start();
-  const startTime = Date.now();
+// Two-sided 95% critical values of Student's t for 1-30 degrees of freedom;
+// larger df fall back to the next lower tabulated value, which errs wide
+const T_CRITICAL_95 = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+  2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042
+];
+const T_CRITICAL_95_LARGE = [[120, 1.980], [60, 2.000], [40, 2.021], [30, 2.042]];
+
+function tCritical95(df) {
+  if (df <= T_CRITICAL_95.length) return T_CRITICAL_95[Math.max(1, Math.floor(df)) - 1];
+  return T_CRITICAL_95_LARGE.find(([min]) => df >= min)[1];
+}
 
-  try {
-    const result = await fn(obj, timeout);
-    const duration = Date.now() - startTime;
-    const stats = monitor.stop();
-    return {
-      success: true,
-      duration,
-      result,
-      stats
-    };
-  } catch (error) {
-    const duration = Date.now() - startTime;
-    const stats = monitor.stop();
-    return {
-      success: false,
-      duration,
-      error: error.message,
-      stats
-    };
-  }
+// Milliseconds elapsed since a process.hrtime.bigint() reading
+function elapsedMs(start) {
+  return Number(process.hrtime.bigint() - start) / 1e6;
 }
 
-// Run multiple iterations and collect statistics
-async function runTestWithStats(name, fn, obj, timeout, referenceOutput, iterations = 5) {
-  const results = [];
+const roundMs = ms => Math.round(ms * 1000) / 1000;
 
-  console.log(`   Running ${iterations} iterations...`);
+function formatMs(ms) {
+  return `${ms.toFixed(ms < 100 ? 2 : 1)}ms`;
+}
 
-  for (let i = 0; i < iterations; i++) {
-    // Small delay between runs to let system settle
-    if (i > 0) await new Promise(r => setTimeout(r, 100));
+function quantile(sorted, q) {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
 
-    const result = await runSingleTest(name, fn, obj, timeout);
-    results.push(result);
+function meanAndVariance(samples) {
+  const mean = samples.reduce((a, b) => a + b, 0) / samples.length;
+  const variance = samples.length < 2
+    ? 0
+    : samples.reduce((sum, x) => sum + (x - mean) ** 2, 0) / (samples.length - 1);
+  return { mean, variance };
+}
 
-    if (result.success) {
-      process.stdout.write(`\r   Iteration ${i + 1}/${iterations}: ${result.duration}ms`);
-    }
+// Best, median, worst, mean, standard deviation and the 95% confidence
+// interval of the mean, all over the runs left after dropping outliers
+// outside Tukey's fences (1.5 IQR beyond the quartiles). Needs at least 4
+// runs before anything counts as an outlier. Times can't be negative, so
+// neither can the interval
+function summarizeTimes(times) {
+  const sorted = [...times].sort((a, b) => a - b);
+  let samples = sorted;
+  if (sorted.length >= 4) {
+    const q1 = quantile(sorted, 0.25);
+    const q3 = quantile(sorted, 0.75);
+    const fence = 1.5 * (q3 - q1);
+    samples = sorted.filter(x => x >= q1 - fence && x <= q3 + fence);
   }
 
-  console.log(); // New line after progress
+  const { mean, variance } = meanAndVariance(samples);
+  const stddev = Math.sqrt(variance);
+  const margin = samples.length < 2 ? null : tCritical95(samples.length - 1) * stddev / Math.sqrt(samples.length);
 
-  // Calculate statistics
-  const successfulRuns = results.filter(r => r.success);
-  if (successfulRuns.length === 0) {
-    const firstError = results[0];
-    console.log(`   ❌ All iterations failed: ${firstError.error}`);
-    return null;
-  }
+  return {
+    best: roundMs(samples[0]),
+    average: roundMs(mean),
+    median: roundMs(quantile(samples, 0.5)),
+    worst: roundMs(samples[samples.length - 1]),
+    stddev: roundMs(stddev),
+    ci95: margin === null ? null : { low: roundMs(Math.max(0, mean - margin)), high: roundMs(mean + margin) },
+    outliers: times.length - samples.length,
+    samples
+  };
+}
 
-  const times = successfulRuns.map(r => r.duration);
-  const best = Math.min(...times);
-  const worst = Math.max(...times);
-  const average = Math.round(times.reduce((a, b) => a + b, 0) / times.length);
-  const median = times.sort((a, b) => a - b)[Math.floor(times.length / 2)];
+function formatSpread({ stddev, ci95, outliers, samples }) {
+  const ci = ci95 ? `95% CI ${formatMs(ci95.low)}-${formatMs(ci95.high)}` : '95% CI n/a (one run)';
+  const rejected = outliers === 0 ? 'no outliers' : `${outliers} outlier${outliers === 1 ? '' : 's'} rejected`;
+  return `stddev=${formatMs(stddev)}, ${ci}, ${rejected} (n=${samples.length})`;
+}
 
-  // Use the best run for validation
-  const bestRun = successfulRuns.find(r => r.duration === best);
-  const validation = validateOutput(bestRun.result, referenceOutput);
+// Welch's t-test on two sets of run times: whether the means differ at the
+// 95% level without assuming equal variances. Either side needs 2+ runs
+function welchTest(a, b) {
+  if (a.length < 2 || b.length < 2) return null;
+  const x = meanAndVariance(a);
+  const y = meanAndVariance(b);
+  const va = x.variance / a.length;
+  const vb = y.variance / b.length;
+  const diff = x.mean - y.mean;
+  if (va + vb === 0) {
+    return { diff, t: diff === 0 ? 0 : Infinity, df: a.length + b.length - 2, significant: diff !== 0 };
+  }
+  const t = diff / Math.sqrt(va + vb);
+  const df = (va + vb) ** 2 / (va ** 2 / (a.length - 1) + vb ** 2 / (b.length - 1));
+  return { diff, t, df, significant: Math.abs(t) > tCritical95(df) };
+}
+
+// Orders approaches by mean time and tests each against the next one, e.g.
+// "Worker 12.10ms < Async 70.30ms ≈ Yieldable 72.00ms", where "<" is a
+// significant difference and "≈" is not. Entries are [name, stats] pairs
+// from runTestWithStats; single-run baselines cannot be tested and are left
+// out. Null when fewer than two approaches are left to compare
+function rankBySignificance(entries) {
+  const ranked = entries
+    .filter(([, stats]) => stats && stats.samples.length >= 2)
+    .sort(([, a], [, b]) => a.average - b.average);
+  if (ranked.length < 2) return null;
+  return ranked.map(([name, stats], i) => {
+    const label = `${name} ${formatMs(stats.average)}`;
+    if (i === 0) return label;
+    const test = welchTest(ranked[i - 1][1].samples, stats.samples);
+    return `${test.significant ? '<' : '≈'} ${label}`;
+  }).join(' ');
+}
+
+// ============================================================================
+// Test Runner with Multiple Iterations
+// ============================================================================
+
+// The live line --progress draws from onProgress reports, at most every
+// 100ms. clear() blanks it so the iteration line can take its place
+function createProgressLine() {
+  let lastDraw = 0;
+  let width = 0;
+  return {
+    update({ nodes, bytes, depth, fraction }) {
+      const now = Date.now();
+      if (fraction !== 1 && now - lastDraw < 100) return;
+      lastDraw = now;
+      const done = fraction === null ? '?' : `${(fraction * 100).toFixed(0)}%`;
+      const line = `   ⏳ ${done} - ${nodes} nodes, ${(bytes / 1024 / 1024).toFixed(1)}MB written, depth ${depth}`;
+      process.stdout.write(`\r${line.padEnd(width)}`);
+      width = line.length;
+    },
+    clear() {
+      if (width > 0) process.stdout.write(`\r${' '.repeat(width)}\r`);
+      width = 0;
+    }
+  };
+}
+
+// Starts event-loop, memory and GC measurement for one run; the returned
+// function stops all three. The sampler's forced GC runs before the GC
+// observer starts, so it is not counted against the approach
+async function startRunProfile() {
+  const sampler = new HeapSampler();
+  const gcObserver = new GcObserver();
+  const monitor = new EventLoopMonitor();
+  sampler.start();
+  gcObserver.start();
+  await monitor.start();
+
+  return async () => {
+    const memory = sampler.stop();
+    const stats = await monitor.stop();
+    const gc = await gcObserver.stop();
+    return { stats, memory, gc };
+  };
+}
+
+// Run a single test
+async function runSingleTest(name, fn, obj, timeout) {
+  const stopProfile = await startRunProfile();
+  const startTime = process.hrtime.bigint();
+
+  try {
+    const result = await fn(obj, timeout);
+    const duration = elapsedMs(startTime);
+    return {
+      success: true,
+      duration,
+      result,
+      ...await stopProfile()
+    };
+  } catch (error) {
+    const duration = elapsedMs(startTime);
+    return {
+      success: false,
+      duration,
+      error: error.message,
+      ...await stopProfile()
+    };
+  }
+}
+
+// Time-to-first-byte, total time and peak heap for one output strategy.
+// `produce(onChunk)` must pass every piece of output to onChunk, in order
+async function runOutputTest(produce) {
+  const sampler = new HeapSampler();
+  const hash = crypto.createHash('sha256');
+  let firstByte = null;
+  let size = 0;
+
+  sampler.start();
+  const startTime = Date.now();
+
+  try {
+    await produce(chunk => {
+      if (firstByte === null) firstByte = Date.now() - startTime;
+      size += chunk.length;
+      hash.update(chunk);
+      sampler.sample();
+    });
+    return {
+      success: true,
+      duration: Date.now() - startTime,
+      firstByte,
+      size,
+      hash: hash.digest('hex').substring(0, 8),
+      memory: sampler.stop()
+    };
+  } catch (error) {
+    return {
+      success: false,
+      duration: Date.now() - startTime,
+      error: error.message,
+      memory: sampler.stop()
+    };
+  }
+}
+
+// CPU time and event-loop busy time spent after an approach has already
+// rejected, i.e. work that kept running in the background. Samples in
+// `sliceMs` windows until one is (nearly) idle or `maxMs` has passed. Idle is
+// judged by event-loop utilization where available, since CPU time also
+// counts the GC threads cleaning up after the abandoned work; the 20% allows
+// for the main-thread GC pause that follows dropping a large partial result
+async function measureLeftoverWork({ sliceMs = 100, maxMs = 60000 } = {}) {
+  const startTime = Date.now();
+  const cpuStart = process.cpuUsage();
+  const eluStart = hasElu ? performance.eventLoopUtilization() : null;
+
+  let busySlices = 0;
+  while (Date.now() - startTime < maxMs) {
+    const cpuSlice = process.cpuUsage();
+    const eluSlice = hasElu ? performance.eventLoopUtilization() : null;
+    await new Promise(r => setTimeout(r, sliceMs));
+    const cpu = process.cpuUsage(cpuSlice);
+    const busy = hasElu
+      ? performance.eventLoopUtilization(eluSlice).utilization
+      : (cpu.user + cpu.system) / 1000 / sliceMs;
+    if (busy < 0.2) break;
+    busySlices++;
+  }
+
+  const cpu = process.cpuUsage(cpuStart);
+  return {
+    stopped: busySlices === 0,
+    cpuMs: Math.round((cpu.user + cpu.system) / 1000),
+    durationMs: Date.now() - startTime,
+    utilization: hasElu ? performance.eventLoopUtilization(eluStart).utilization : null
+  };
+}
+
+function formatLeftoverWork({ stopped, cpuMs, durationMs, utilization }) {
+  const busy = utilization === null ? '' : `, event loop ${(utilization * 100).toFixed(0)}% busy`;
+  return `Leftover work: ${stopped ? '✅ stopped' : '❌ kept running'} - ${cpuMs}ms CPU over ${durationMs}ms${busy}`;
+}
+
+// Untimed runs so the JIT has compiled the hot paths before timing starts.
+// Failures are ignored here; the timed runs report them
+async function warmUp(fn, runs) {
+  for (let i = 0; i < runs; i++) {
+    try {
+      await fn();
+    } catch (e) {
+      // Reported by the timed runs
+    }
+  }
+}
+
+// Single run of a blocking baseline, after `warmup` untimed runs; returns
+// singleRunStats, or the error
+async function runSingleRunTest(fn, referenceOutput, toOutput = result => result, warmup = 1) {
+  await warmUp(fn, warmup);
+  const stopProfile = await startRunProfile();
+  const startTime = process.hrtime.bigint();
+  try {
+    const result = await fn();
+    const duration = roundMs(elapsedMs(startTime));
+    const { stats, memory, gc } = await stopProfile();
+    const output = toOutput(result);
+    const validation = validateOutput(output, referenceOutput);
+    console.log(`   ✅ Completed in ${formatMs(duration)} (${(output.length / 1024).toFixed(1)} KB)`);
+    console.log(`   Event loop: ${formatEventLoopStats(stats)}`);
+    console.log(`   Memory: ${formatMemory(memory)}`);
+    console.log(`   GC: ${formatGc(gc)}`);
+    console.log(`   Validation: ${validation.valid ? '✅ PASS' : '❌ FAIL'} (hash: ${validation.hash})`);
+    return { stats: singleRunStats(duration, stats, validation, memory, gc) };
+  } catch (e) {
+    await stopProfile();
+    console.log(`   ❌ Failed: ${e.message}`);
+    return { stats: null, error: e.message };
+  }
+}
+
+// Run `warmup` untimed iterations, then `iterations` timed ones, and collect
+// statistics. `toOutput` turns a result into the string that is compared
+// against the reference (parsers return objects)
+async function runTestWithStats(name, fn, obj, timeout, referenceOutput, iterations = 5, toOutput = result => result, warmup = 1, settle = null) {
+  const results = [];
+
+  console.log(`   Running ${iterations} iterations${warmup > 0 ? ` after ${warmup} warmup` : ''}...`);
+  await warmUp(async () => {
+    if (settle) await settle();
+    return fn(obj, timeout);
+  }, warmup);
+
+  for (let i = 0; i < iterations; i++) {
+    // Small delay between runs to let system settle
+    if (i > 0) await new Promise(r => setTimeout(r, 100));
+    // Work a timed-out run left behind must not overlap this one
+    if (settle) await settle();
+
+    const result = await runSingleTest(name, fn, obj, timeout);
+    results.push(result);
+
+    if (result.success) {
+      process.stdout.write(`\r   Iteration ${i + 1}/${iterations}: ${formatMs(result.duration)}`);
+    }
+  }
+
+  console.log(); // New line after progress
+
+  // Calculate statistics
+  const successfulRuns = results.filter(r => r.success);
+  const failed = results.length - successfulRuns.length;
+  if (successfulRuns.length === 0) {
+    const firstError = results[0];
+    console.log(`   ❌ All iterations failed: ${firstError.error}`);
+    return null;
+  }
+
+  const times = successfulRuns.map(r => roundMs(r.duration));
+  const timing = summarizeTimes(times);
+  const { best, average, median, worst } = timing;
+  const worstLag = Math.max(...successfulRuns.map(r => r.stats.max));
+  const gc = averageGc(successfulRuns.map(r => r.gc));
 
-  console.log(`   ✅ Completed: Best=${best}ms, Avg=${average}ms, Median=${median}ms, Worst=${worst}ms`);
-  console.log(`   Result size: ${(bestRun.result.length / 1024).toFixed(1)} KB`);
-  console.log(`   Event loop (best run): ${bestRun.stats.intervals} intervals, ${bestRun.stats.blockCount} blocks`);
+  // Use the best run for validation
+  const bestRun = successfulRuns[times.indexOf(best)];
+  const output = toOutput(bestRun.result);
+  const validation = validateOutput(output, referenceOutput);
+
+  const firstFailure = results.find(r => !r.success);
+  const failures = failed === 0 ? '' : `, ❌ ${failed}/${results.length} iterations failed (${firstFailure.error})`;
+  console.log(`   ✅ Completed: Best=${formatMs(best)}, Avg=${formatMs(average)}, Median=${formatMs(median)}, Worst=${formatMs(worst)}${failures}`);
+  console.log(`   Spread: ${formatSpread(timing)}`);
+  console.log(`   Result size: ${(output.length / 1024).toFixed(1)} KB`);
+  console.log(`   Event loop (best run): ${formatEventLoopStats(bestRun.stats)}, worst max over all runs=${worstLag}ms`);
+  console.log(`   Memory (best run): ${formatMemory(bestRun.memory)}`);
+  console.log(`   GC (average per run): ${formatGc(gc)}`);
   console.log(`   Validation: ${validation.valid ? '✅ PASS' : '❌ FAIL'} (hash: ${validation.hash})`);
 
   return {
@@ -568,219 +1404,1103 @@ async function runTestWithStats(name, fn, obj, timeout, referenceOutput, iterati
     average,
     median,
     worst,
+    stddev: timing.stddev,
+    ci95: timing.ci95,
+    outliers: timing.outliers,
+    samples: timing.samples,
     times,
+    failed,
+    eventLoop: bestRun.stats,
+    worstLag,
+    memory: bestRun.memory,
+    gc,
+    validation
+  };
+}
+
+// ============================================================================
+// Results File and Baseline Comparison
+// ============================================================================
+
+// What a results file needs to say about where it was produced, so a
+// comparison across machines or Node versions can be spotted
+function collectEnvironment() {
+  const cpus = os.cpus();
+  return {
+    node: process.version,
+    v8: process.versions.v8,
+    platform: process.platform,
+    arch: process.arch,
+    cpu: cpus.length > 0 ? cpus[0].model : 'unknown',
+    cpuCount: cpus.length,
+    totalMemoryMB: Math.round(os.totalmem() / 1024 / 1024),
+    fibers: Fiber !== null,
+    execArgv: process.execArgv,
+    argv: process.argv.slice(2)
+  };
+}
+
+// One entry per approach and size. `stats` is what runTestWithStats returns,
+// or null when every iteration failed
+function toResultRecord(test, approach, name, stats, error) {
+  if (!stats) {
+    return { profile: test.profile, fixture: test.fixture, size: test.size, timeoutMs: test.timeout, approach, name, success: false, error: error || 'All iterations failed' };
+  }
+  return {
+    profile: test.profile,
+    fixture: test.fixture,
+    size: test.size,
+    timeoutMs: test.timeout,
+    approach,
+    name,
+    success: true,
+    best: stats.best,
+    average: stats.average,
+    median: stats.median,
+    worst: stats.worst,
+    stddev: stats.stddev,
+    ci95: stats.ci95,
+    outliers: stats.outliers,
+    failed: stats.failed,
+    times: stats.times,
+    valid: stats.validation.valid,
+    hash: stats.validation.hash,
+    eventLoop: stats.eventLoop,
+    worstLag: stats.worstLag,
+    memory: stats.memory,
+    gc: stats.gc
+  };
+}
+
+// The native baselines run once; shape their numbers like runTestWithStats
+function singleRunStats(duration, eventLoop, validation, memory, gc) {
+  return {
+    best: duration,
+    average: duration,
+    median: duration,
+    worst: duration,
+    stddev: 0,
+    ci95: null,
+    outliers: 0,
+    samples: [duration],
+    times: [duration],
+    failed: 0,
+    eventLoop,
+    worstLag: eventLoop.max,
+    memory,
+    gc,
     validation
   };
 }
 
+const CSV_COLUMNS = [
+  ['profile', r => r.profile],
+  ['fixture', r => r.fixture],
+  ['size', r => r.size],
+  ['timeout_ms', r => r.timeoutMs],
+  ['approach', r => r.approach],
+  ['name', r => r.name],
+  ['success', r => r.success],
+  ['unavailable', r => r.unavailable === true],
+  ['best_ms', r => r.best],
+  ['average_ms', r => r.average],
+  ['median_ms', r => r.median],
+  ['worst_ms', r => r.worst],
+  ['stddev_ms', r => r.stddev],
+  ['ci95_low_ms', r => r.ci95 && r.ci95.low],
+  ['ci95_high_ms', r => r.ci95 && r.ci95.high],
+  ['outliers', r => r.outliers],
+  ['failed', r => r.failed],
+  ['valid', r => r.valid],
+  ['lag_p50_ms', r => r.eventLoop && r.eventLoop.p50],
+  ['lag_p99_ms', r => r.eventLoop && r.eventLoop.p99],
+  ['lag_max_ms', r => r.eventLoop && r.eventLoop.max],
+  ['worst_lag_ms', r => r.worstLag],
+  ['elu', r => r.eventLoop && typeof r.eventLoop.utilization === 'number' ? r.eventLoop.utilization.toFixed(3) : null],
+  ['heap_before_mb', r => r.memory && r.memory.heapBeforeMB.toFixed(2)],
+  ['heap_after_mb', r => r.memory && r.memory.heapAfterMB.toFixed(2)],
+  ['peak_heap_mb', r => r.memory && r.memory.peakHeapMB.toFixed(2)],
+  ['peak_rss_mb', r => r.memory && r.memory.peakRssMB.toFixed(2)],
+  ['peak_external_mb', r => r.memory && r.memory.peakExternalMB.toFixed(2)],
+  ['gc_count', r => r.gc && +r.gc.count.toFixed(1)],
+  ['gc_total_ms', r => r.gc && r.gc.totalMs.toFixed(2)],
+  ['gc_max_pause_ms', r => r.gc && r.gc.maxMs.toFixed(2)],
+  ['error', r => r.error]
+];
+
+function csvField(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function writeResultsJson(file, report) {
+  fs.writeFileSync(file, JSON.stringify(report, null, 2) + '\n');
+}
+
+// Environment goes into leading comment lines; the rows are one per result
+function writeResultsCsv(file, report) {
+  const { environment } = report;
+  const lines = [
+    `# ${report.createdAt} node ${environment.node} ${environment.platform}/${environment.arch}, ${environment.cpuCount}x ${environment.cpu}`,
+    CSV_COLUMNS.map(([column]) => column).join(','),
+    ...report.results.map(result => CSV_COLUMNS.map(([, get]) => csvField(get(result))).join(','))
+  ];
+  fs.writeFileSync(file, lines.join('\n') + '\n');
+}
+
+function loadResults(file) {
+  let report;
+  try {
+    report = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read baseline ${file}: ${error.message}`);
+  }
+  if (!report || !Array.isArray(report.results)) {
+    throw new Error(`Baseline ${file} is not a benchmark results file`);
+  }
+  return report;
+}
+
+// Metrics compared against the baseline; lower is better for all of them
+const COMPARED_METRICS = [
+  ['median', 'median time', r => r.median],
+  ['lagP99', 'p99 event-loop lag', r => r.eventLoop && r.eventLoop.p99],
+  ['lagMax', 'max event-loop lag', r => r.eventLoop && r.eventLoop.max]
+];
+
+// A metric regresses when it is more than `thresholdPercent` worse than the
+// baseline and by at least `minDeltaMs`, which keeps 0ms -> 1ms from counting
+// as an infinite slowdown. Results only present on one side are skipped
+function compareResults(report, baseline, { thresholdPercent = 10, minDeltaMs = 1 } = {}) {
+  // Files from before profiles existed only had the default one. Fixtures
+  // are matched by path, so an edited capture still compares
+  const key = r => `${r.name}@${r.fixture ? `fixture:${r.fixture}` : `${r.profile || 'default'}:${r.size}`}`;
+  const where = r => ({ name: r.name, profile: r.fixture ? `fixture ${r.fixture}` : r.profile || 'default', size: r.size });
+  const baselineByKey = new Map(baseline.results.map(r => [key(r), r]));
+  const regressions = [];
+  let compared = 0;
+
+  for (const result of report.results) {
+    const before = baselineByKey.get(key(result));
+    // Nothing to compare if either run could not load the approach
+    if (!before || before.unavailable || result.unavailable) continue;
+    compared++;
+
+    if (before.success && !result.success) {
+      regressions.push({ ...where(result), metric: 'success', detail: `now fails: ${result.error}` });
+      continue;
+    }
+    if (before.success && before.valid && result.valid === false) {
+      regressions.push({ ...where(result), metric: 'validation', detail: 'output no longer matches the reference' });
+    }
+    if (!before.success || !result.success) continue;
+
+    for (const [metric, label, get] of COMPARED_METRICS) {
+      const was = get(before);
+      const now = get(result);
+      if (typeof was !== 'number' || typeof now !== 'number') continue;
+      if (now - was >= minDeltaMs && now > was * (1 + thresholdPercent / 100)) {
+        const change = was === 0 ? '' : ` (+${((now / was - 1) * 100).toFixed(0)}%)`;
+        regressions.push({ ...where(result), metric, detail: `${label} ${was}ms -> ${now}ms${change}` });
+      }
+    }
+  }
+
+  return { compared, regressions };
+}
+
+function printComparison({ compared, regressions }, baseline, report, thresholdPercent) {
+  console.log('\n' + '='.repeat(80));
+  console.log(`BASELINE COMPARISON (threshold: ${thresholdPercent}%)`);
+  console.log('='.repeat(80));
+  if (baseline.environment && baseline.environment.node !== report.environment.node) {
+    console.log(`⚠️  Baseline ran on Node ${baseline.environment.node}, this run on ${report.environment.node}`);
+  }
+  console.log(`Compared ${compared} of ${report.results.length} results against ${baseline.createdAt || 'baseline'}`);
+  if (regressions.length === 0) {
+    console.log('✅ No regressions');
+    return;
+  }
+  for (const { name, profile, size, detail } of regressions) {
+    console.log(`❌ ${name} (${profile}, size ${size}): ${detail}`);
+  }
+}
+
+// ============================================================================
+// Command Line
+// ============================================================================
+
+// Sizes run by default, with the timeout each one is tested against
+const DEFAULT_TESTS = [
+  { size: 10, timeout: 1000, name: 'Small object - should complete' },
+  { size: 100, timeout: 50, name: 'Medium object - tight timeout' },
+  { size: 500, timeout: 200, name: 'Large object - will likely timeout' },
+  { size: 1000, timeout: 500, name: 'Huge object - aggressive timeout test' },
+  { size: 10000, timeout: 5000, name: 'MASSIVE object - 20MB stress test' }
+];
+
+// One line per registered approach, so those added with --load show up too
+function approachUsage() {
+  return [...registry.values()].map(({ key, description }) => `                         ${key.padEnd(10)} ${description}`).join('\n');
+}
+
+// Built when printed rather than at load time, for the same reason
+function usage() {
+  return `Usage: node benchmark.js [options]
+
+Options:
+  --approach <list>    Comma-separated approaches to run (default: all)
+${approachUsage()}
+  --load <file>        Register the approaches exported by a module (repeatable)
+  --profile <list>     Comma-separated workload profiles (default: default)
+${Object.entries(WORKLOAD_PROFILES).map(([name, { description }]) => `                         ${name.padEnd(10)} ${description}`).join('\n')}
+  --sizes <list>       Comma-separated object sizes, ~2KB each (default: ${DEFAULT_TESTS.map(test => test.size).join(',')})
+  --seed <n>           Seed for the payload generator (default: 1)
+  --fixtures <path>    Also run on JSON/NDJSON files, or every such file in a directory (repeatable)
+  --fixtures-only      Run only the --fixtures files, no generated payloads
+  --iterations <n>     Timed runs per approach and size (default: 5)
+  --warmup <n>         Untimed runs before the timed ones (default: 1)
+  --timeout <ms>       Timeout for every size (default: per-size preset, 1000ms for other sizes)
+  --yield-ms <ms>      Yield interval for the yielding approaches (default: 5)
+  --interrupt-ms <ms>  Target for the interruption and abort signal tests (default: 50)
+  --skip-interruption  Skip the interruption and abort signal tests
+  --progress           Draw a live progress line for approaches that report it (they pre-scan first)
+  --only-concurrent    Run only the concurrent work and concurrent serializations tests
+  --tasks <n>          Serializations started at once in the concurrent serializations test (default: 24)
+  --concurrency <n>    Concurrency limit of the shared scheduler in that test (default: 4)
+  --http               Run only the HTTP latency test: small local requests while each approach serializes
+  --http-rate <n>      Requests per second in the HTTP latency test (default: 200)
+  --http-size <n>      Payload size for the HTTP latency test, in the units of --sizes (default: 1000)
+  --json <file>        Write results and environment info as JSON
+  --csv <file>         Write results as CSV
+  --compare <file>     Compare against a JSON results file; exits 1 on regressions
+  --threshold <pct>    Regression threshold for --compare, in percent (default: 10)
+  -h, --help           Show this help
+
+Options take their value as the next argument or after "=", e.g. --sizes=10,100.
+With npm, pass them after "--": npm run benchmark -- --approach async --sizes 1000`;
+}
+
+// Parses process.argv-style arguments. Throws on anything it does not know,
+// so a typo fails fast instead of silently running the full benchmark.
+// Approach names are checked by selectApproaches, once --load has run
+function parseArgs(argv) {
+  const options = {
+    approaches: null,
+    load: [],
+    profiles: ['default'],
+    sizes: DEFAULT_TESTS.map(test => test.size),
+    seed: 1,
+    fixtures: [],
+    fixturesOnly: false,
+    iterations: 5,
+    warmup: 1,
+    timeout: undefined,
+    yieldMs: 5,
+    interruptMs: 50,
+    skipInterruption: false,
+    progress: false,
+    onlyConcurrent: false,
+    tasks: 24,
+    concurrency: 4,
+    http: false,
+    httpRate: 200,
+    httpSize: 1000,
+    json: undefined,
+    csv: undefined,
+    compare: undefined,
+    threshold: 10,
+    help: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const eq = arg.startsWith('--') ? arg.indexOf('=') : -1;
+    const flag = eq === -1 ? arg : arg.slice(0, eq);
+    const inline = eq === -1 ? undefined : arg.slice(eq + 1);
+
+    const value = () => {
+      if (inline !== undefined) return inline;
+      const next = argv[i + 1];
+      if (next === undefined || next.startsWith('-')) {
+        throw new Error(`Option ${flag} requires a value`);
+      }
+      i++;
+      return next;
+    };
+    const list = () => {
+      const items = value().split(',').map(item => item.trim()).filter(Boolean);
+      if (items.length === 0) throw new Error(`Option ${flag} requires at least one value`);
+      return items;
+    };
+    const positiveInt = text => {
+      const n = Number(text);
+      if (!Number.isInteger(n) || n <= 0) {
+        throw new Error(`Option ${flag} expects a positive integer, got "${text}"`);
+      }
+      return n;
+    };
+    const nonNegativeInt = text => {
+      const n = Number(text);
+      if (!Number.isInteger(n) || n < 0) {
+        throw new Error(`Option ${flag} expects a non-negative integer, got "${text}"`);
+      }
+      return n;
+    };
+    const noValue = () => {
+      if (inline !== undefined) throw new Error(`Option ${flag} does not take a value`);
+      return true;
+    };
+
+    switch (flag) {
+      case '--approach':
+        options.approaches = list();
+        break;
+      case '--load':
+        options.load.push(value());
+        break;
+      case '--profile': {
+        const profiles = list();
+        const unknown = profiles.filter(name => !Object.prototype.hasOwnProperty.call(WORKLOAD_PROFILES, name));
+        if (unknown.length > 0) {
+          throw new Error(`Unknown profile: ${unknown.join(', ')} (expected one of ${Object.keys(WORKLOAD_PROFILES).join(', ')})`);
+        }
+        options.profiles = profiles;
+        break;
+      }
+      case '--sizes':
+        options.sizes = list().map(positiveInt);
+        break;
+      case '--seed':
+        options.seed = nonNegativeInt(value());
+        break;
+      case '--fixtures':
+        options.fixtures.push(value());
+        break;
+      case '--fixtures-only':
+        options.fixturesOnly = noValue();
+        break;
+      case '--iterations':
+        options.iterations = positiveInt(value());
+        break;
+      case '--warmup':
+        options.warmup = nonNegativeInt(value());
+        break;
+      case '--timeout':
+        options.timeout = positiveInt(value());
+        break;
+      case '--yield-ms':
+        options.yieldMs = positiveInt(value());
+        break;
+      case '--interrupt-ms':
+        options.interruptMs = positiveInt(value());
+        break;
+      case '--skip-interruption':
+        options.skipInterruption = noValue();
+        break;
+      case '--progress':
+        options.progress = noValue();
+        break;
+      case '--only-concurrent':
+        options.onlyConcurrent = noValue();
+        break;
+      case '--tasks':
+        options.tasks = positiveInt(value());
+        break;
+      case '--concurrency':
+        options.concurrency = positiveInt(value());
+        break;
+      case '--http':
+        options.http = noValue();
+        break;
+      case '--http-rate':
+        options.httpRate = positiveInt(value());
+        break;
+      case '--http-size':
+        options.httpSize = positiveInt(value());
+        break;
+      case '--json':
+        options.json = value();
+        break;
+      case '--csv':
+        options.csv = value();
+        break;
+      case '--compare':
+        options.compare = value();
+        break;
+      case '--threshold': {
+        const text = value();
+        const threshold = Number(text);
+        if (!Number.isFinite(threshold) || threshold < 0) {
+          throw new Error(`Option ${flag} expects a non-negative number, got "${text}"`);
+        }
+        options.threshold = threshold;
+        break;
+      }
+      case '-h':
+      case '--help':
+        options.help = noValue();
+        break;
+      default:
+        throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  if (options.fixturesOnly && options.fixtures.length === 0) {
+    throw new Error('Option --fixtures-only needs at least one --fixtures path');
+  }
+  return options;
+}
+
+// Registered approaches for --approach, in registry order; null means all
+function selectApproaches(keys) {
+  if (keys === null) return [...registry.values()];
+  const unknown = keys.filter(key => !registry.has(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown approach: ${unknown.join(', ')}, expected one of:\n${approachUsage()}`);
+  }
+  return [...registry.values()].filter(approach => keys.includes(approach.key));
+}
+
 // ============================================================================
 // Main Benchmark
 // ============================================================================
 
-async function runBenchmark() {
+async function runBenchmark(options = parseArgs([])) {
+  const { profiles, sizes, seed, iterations, warmup, timeout, yieldMs, interruptMs } = options;
+  // --only-concurrent runs the concurrent work test and nothing else
+  const approaches = options.onlyConcurrent ? [] : selectApproaches(options.approaches);
+  const selected = key => approaches.some(approach => approach.key === key);
+  const runConcurrent = options.onlyConcurrent || selected('optimized');
+  const parseApproaches = approaches.filter(approach => approach.parse);
+  const results = [];
+  const createdAt = new Date().toISOString();
+
+  // "<test name>, <method>" and its [name, stats] pairs, for the summary
+  const rankings = [];
+
+  // Times one approach on one input, records the result and returns its
+  // stats; blocking baselines run once, everything else `iterations` times
+  const runApproach = async (approach, method, name, input, test, toOutput) => {
+    if (!approach.available()) {
+      const reason = approach.unavailableReason || 'not supported in this environment';
+      console.log(`   ⚠️  Unavailable: ${reason} - skipped`);
+      results.push({ ...toResultRecord(test, approach.key, name, null, reason), unavailable: true });
+      return null;
+    }
+    if (approach.blocking) {
+      const { stats, error } = await runSingleRunTest(() => approach[method](input, {}), test.referenceOutput, toOutput, warmup);
+      results.push(toResultRecord(test, approach.key, name, stats, error));
+      return stats;
+    }
+
+    const timings = [];
+    const progressLine = options.progress ? createProgressLine() : null;
+    const run = (input, timeout) => approach[method](input, {
+      timeoutMs: timeout,
+      yieldEveryMs: yieldMs,
+      onTimings: t => timings.push(t),
+      onProgress: progressLine ? report => progressLine.update(report) : undefined
+    });
+    const fn = progressLine ? (input, timeout) => run(input, timeout).finally(() => progressLine.clear()) : run;
+    const stats = await runTestWithStats(name, fn, input, test.timeout, test.referenceOutput, iterations, toOutput, warmup, approach.settle);
+    results.push(toResultRecord(test, approach.key, name, stats));
+    if (timings.length > 0 && approach.describeTimings) {
+      const averages = {};
+      for (const key of Object.keys(timings[0])) {
+        averages[key] = (timings.reduce((sum, t) => sum + t[key], 0) / timings.length).toFixed(1);
+      }
+      for (const line of approach.describeTimings(averages)) console.log(`   ${line}`);
+    }
+    return stats;
+  };
+
   console.log('='.repeat(80));
   console.log('JSON Serialization: Timeout & Non-blocking Demonstration with Validation');
   console.log('='.repeat(80));
 
-  // First, create and save test objects
-  console.log('\nCreating test objects and saving reference outputs...');
+  if (options.http) {
+    const httpLatency = await runHttpLatencyTest(approaches, options);
+    return { createdAt, environment: collectEnvironment(), options, results, httpLatency };
+  }
+
   const testDataDir = './test-data';
   if (!fs.existsSync(testDataDir)) {
     fs.mkdirSync(testDataDir);
   }
 
-  const tests = [
-    { size: 10, timeout: 1000, name: 'Small object - should complete' },
-    { size: 100, timeout: 50, name: 'Medium object - tight timeout' },
-    { size: 500, timeout: 200, name: 'Large object - will likely timeout' },
-    { size: 1000, timeout: 500, name: 'Huge object - aggressive timeout test' },
-    { size: 10000, timeout: 5000, name: 'MASSIVE object - 20MB stress test' }
-  ];
-
-  // Create all test objects and their reference outputs
-  for (const test of tests) {
-    const obj = createTestObject(test.size);
-    const referenceOutput = JSON.stringify(obj);
-
-    // Save test object and reference output
-    fs.writeFileSync(`${testDataDir}/test-${test.size}.json`, referenceOutput);
-    test.obj = obj;
-    test.referenceOutput = referenceOutput;
-    test.referenceHash = getHash(referenceOutput);
-
-    console.log(`  Test ${test.size}: ${(referenceOutput.length / 1024).toFixed(1)} KB, hash: ${test.referenceHash}`);
+  // Every profile at every size, then every fixture file
+  const tests = [];
+  for (const profile of options.fixturesOnly ? [] : profiles) {
+    for (const size of sizes) {
+      const preset = DEFAULT_TESTS.find(test => test.size === size);
+      tests.push({
+        profile,
+        size,
+        timeout: timeout || (preset ? preset.timeout : 1000),
+        name: preset ? preset.name : `Custom size ${size}`,
+        load: async () => createTestObject(size, { profile, seed })
+      });
+    }
+  }
+  for (const file of options.fixtures.length > 0 ? findFixtures(options.fixtures) : []) {
+    const bytes = fs.statSync(file).size;
+    const test = {
+      profile: 'fixture',
+      fixture: file,
+      size: bytes,
+      // Same ms-per-MB as the 20MB preset
+      timeout: timeout || Math.max(1000, Math.round(bytes / 4000)),
+      name: `Fixture ${file}`,
+      load: async () => {
+        const { value, records } = await loadFixture(file);
+        test.records = records;
+        return value;
+      }
+    };
+    tests.push(test);
   }
 
   console.log('\nStarting benchmarks with output validation...');
 
   for (const test of tests) {
+    // Built per test, so only one payload is alive at a time
+    const obj = await test.load();
+    test.referenceOutput = JSON.stringify(obj);
+    test.referenceHash = getHash(test.referenceOutput);
+    if (!test.fixture) {
+      fs.writeFileSync(`${testDataDir}/test-${test.profile}-${test.size}.json`, test.referenceOutput);
+    }
+
     console.log('\n' + '='.repeat(80));
     console.log(`TEST: ${test.name}`);
-    console.log(`Size: ${test.size}, Timeout: ${test.timeout}ms`);
-    console.log(`Reference hash: ${test.referenceHash}`);
-    console.log('='.repeat(80));
+    if (test.fixture) {
+      const records = test.records === null ? '' : `, ${test.records} NDJSON records`;
+      console.log(`Fixture file: ${(test.size / 1024).toFixed(1)} KB${records}, Timeout: ${test.timeout}ms`);
+    } else {
+      console.log(`Profile: ${test.profile} (${WORKLOAD_PROFILES[test.profile].description}), seed ${seed}`);
+      console.log(`Size: ${test.size}, Timeout: ${test.timeout}ms`);
+    }
+    console.log(`Reference: ${(test.referenceOutput.length / 1024).toFixed(1)} KB, hash: ${test.referenceHash}`);
+    console.log('='.repeat(80) + '\n');
+
+    // Sections are numbered in the order they run
+    let section = 0;
+    const header = title => {
+      section++;
+      console.log(`${section === 1 ? '' : '\n'}${section}. ${title}:`);
+    };
+    const text = test.referenceOutput;
+    const parseOutput = result => JSON.stringify(result);
 
-    const obj = test.obj;
+    const stringifyStats = [];
+    for (const approach of approaches) {
+      header(`${approach.name.toUpperCase()} stringify (${approach.description})`);
+      stringifyStats.push([approach.name, await runApproach(approach, 'stringify', approach.name, obj, test, result => result)]);
+    }
+    rankings.push([`${test.name}, stringify`, stringifyStats]);
 
-    // Estimate size
-    try {
-      const sample = JSON.stringify(obj.arrays[0] || {});
-      console.log(`Estimated total size: ~${(sample.length * test.size / 1024).toFixed(1)} KB\n`);
-    } catch (e) {}
-
-    // Number of iterations for each test
-    const ITERATIONS = 5;
-
-    // 1. Native JSON.stringify (baseline) - single run only
-    console.log('1. NATIVE JSON.stringify (blocking - single run):');
-    const monitor1 = new EventLoopMonitor();
-    monitor1.start();
-    const t1 = Date.now();
-    try {
-      const result = JSON.stringify(obj);
-      const duration = Date.now() - t1;
-      const stats = monitor1.stop();
-      const validation = validateOutput(result, test.referenceOutput);
-      console.log(`   ✅ Completed in ${duration}ms (${(result.length / 1024).toFixed(1)} KB)`);
-      console.log(`   Event loop: ${stats.blockCount} blocks, max ${stats.maxBlock}ms`);
-      console.log(`   Validation: ${validation.valid ? '✅ PASS' : '❌ FAIL'} (hash: ${validation.hash})`);
-    } catch (e) {
-      monitor1.stop();
-      console.log(`   ❌ Failed: ${e.message}`);
+    // Demonstrate concurrent work during serialization
+    if (runConcurrent) {
+      header('CONCURRENT WORK TEST (optimized async)');
+      let concurrentWork = 0;
+      const workInterval = setInterval(() => concurrentWork++, 5);
+
+      const t6 = Date.now();
+      try {
+        await stringifyAsync(obj, { timeoutMs: test.timeout * 2, yieldEveryMs: yieldMs });
+        clearInterval(workInterval);
+        const duration = Date.now() - t6;
+        const expected = Math.floor(duration / 5);
+        console.log(`   Concurrent work: ${concurrentWork}/${expected} expected iterations`);
+        console.log(`   Efficiency: ${(concurrentWork / expected * 100).toFixed(1)}%`);
+      } catch (e) {
+        clearInterval(workInterval);
+        const duration = Date.now() - t6;
+        const expected = Math.floor(duration / 5);
+        console.log(`   Concurrent work: ${concurrentWork}/${expected} iterations during timeout`);
+      }
     }
 
-    // 2. Fiber-based with timeout (multiple iterations)
-    console.log('\n2. FIBER-based (with yielding):');
-    const fiberFn = async (obj, timeout) => {
-      return new Promise((resolve, reject) => {
-        runWithFiber(() => fiberStringify(obj, 5), timeout)
-          .then(resolve)
-          .catch(reject);
-      });
-    };
-    await runTestWithStats('Fiber', fiberFn, obj, test.timeout, test.referenceOutput, ITERATIONS);
+    const parseStats = [];
+    for (const approach of parseApproaches) {
+      header(`${approach.name.toUpperCase()} parse (${approach.description})`);
+      parseStats.push([approach.name, await runApproach(approach, 'parse', `${approach.name} parse`, text, test, parseOutput)]);
+      if (!approach.blocking && !approach.parseCancellable && approach.available()) {
+        // Timed-out parses cannot be cancelled - let them finish before moving on
+        console.log(`   ${formatLeftoverWork(await measureLeftoverWork())}`);
+      }
+    }
+    rankings.push([`${test.name}, parse`, parseStats]);
+
+    // Streaming vs buffered output (same 2x timeout as the concurrent test)
+    if (selected('stream')) {
+      header('STREAMING vs BUFFERED (peak heap, time-to-first-byte)');
+      const streamOptions = { timeoutMs: test.timeout * 2, yieldEveryMs: yieldMs };
+      const outputTests = [
+        ['Buffered (custom async)', async onChunk => onChunk(await stringifyAsync(obj, { ...streamOptions, strategy: 'walk' }))],
+        ['Buffered (optimized async)', async onChunk => onChunk(await stringifyAsync(obj, streamOptions))],
+        ['Streaming (async iterator)', async onChunk => {
+          for await (const chunk of stringifyStream(obj, streamOptions)) {
+            onChunk(chunk);
+          }
+        }],
+        ['Streaming (pipe to Writable)', onChunk => pipeStringify(obj, new Writable({
+          decodeStrings: false,
+          write(chunk, encoding, callback) {
+            onChunk(chunk);
+            callback();
+          }
+        }), streamOptions)]
+      ];
+
+      for (const [label, produce] of outputTests) {
+        const result = await runOutputTest(produce);
+        const peak = `Peak heap=+${result.memory.peakHeapMB.toFixed(1)}MB`;
+        if (result.success) {
+          const valid = result.hash === test.referenceHash;
+          console.log(`   ${label}: TTFB=${result.firstByte}ms, Total=${result.duration}ms, ${peak}, Validation: ${valid ? '✅ PASS' : '❌ FAIL'}`);
+        } else {
+          console.log(`   ${label}: ❌ Failed after ${result.duration}ms (${result.error}), ${peak}`);
+        }
+      }
+    }
 
-    // 3. Yieldable-json library (production-ready solution)
-    console.log('\n3. YIELDABLE-JSON (production library):');
-    await runTestWithStats('Yieldable-json', asyncStringifyYieldable, obj, test.timeout, test.referenceOutput, ITERATIONS);
+    // Let the payload and its reference go before the next one is built
+    test.referenceOutput = null;
+  }
 
-    // 4. Custom async stringify (our implementation)
-    console.log('\n4. ASYNC/AWAIT (custom stringify):');
-    await runTestWithStats('Custom async', asyncStringify, obj, test.timeout, test.referenceOutput, ITERATIONS);
+  if (runConcurrent) {
+    await runConcurrentTasksTest(options);
+  }
 
-    // 5. Optimized async stringify
-    console.log('\n5. ASYNC/AWAIT OPTIMIZED (faster version):');
-    await runTestWithStats('Optimized async', asyncStringifyOptimized, obj, test.timeout, test.referenceOutput, ITERATIONS);
+  const interruptionTested = !options.skipInterruption && !options.onlyConcurrent;
+  const interruptionMisses = interruptionTested ? await runInterruptionTests(approaches, options) : [];
 
-    // 6. Demonstrate concurrent work during serialization
-    console.log('\n6. CONCURRENT WORK TEST (optimized async):');
-    let concurrentWork = 0;
-    const workInterval = setInterval(() => concurrentWork++, 5);
+  console.log('\n' + '='.repeat(80));
+  console.log('SUMMARY:');
+  console.log('- Native: Fast but blocks event loop completely');
+  console.log('- Fiber: Can yield but requires special runtime (deprecated)');
+  console.log('- Async/await: Modern, non-blocking, timeout-capable');
+  if (interruptionTested && interruptionMisses.length === 0) {
+    console.log('- All approaches can be interrupted by timeout or a caller-supplied AbortSignal');
+  }
+  console.log('- A Serializer pauses and resumes the custom async walk without losing work');
+  console.log('- Multiple iterations provide more accurate timing measurements');
+  console.log('- Best time represents optimal performance without system noise');
+  if (interruptionTested && interruptionMisses.length === 0) {
+    console.log(`- Interruption happens within ${INTERRUPT_TOLERANCE_MS}ms of the target timeout`);
+  }
+  for (const miss of interruptionMisses) {
+    console.log(`- ❌ ${miss}`);
+  }
+  console.log('- Async/await allows true concurrent work during serialization');
+  console.log('- Worker threads move serialization off the loop, but cloning the input still blocks it');
+  console.log('- JSON.parse blocks the same way; parseAsync yields on the same time budget');
+  console.log('- Streaming keeps peak heap flat and sends the first bytes right away');
+  for (const approach of approaches.filter(approach => !approach.available())) {
+    console.log(`- ${approach.name}: ⚠️  unavailable (${approach.unavailableReason || 'not supported in this environment'})`);
+  }
+  const ranked = rankings
+    .map(([label, entries]) => [label, rankBySignificance(entries)])
+    .filter(([, line]) => line !== null);
+  if (ranked.length > 0) {
+    console.log(`\nFastest first by mean time; "<" is a significant difference (Welch's t-test, 95%), "≈" is not:`);
+    for (const [label, line] of ranked) {
+      console.log(`- ${label}: ${line}`);
+    }
+  }
+  console.log('='.repeat(80));
 
-    const t6 = Date.now();
-    try {
-      await asyncStringifyOptimized(obj, test.timeout * 2, 5);
-      clearInterval(workInterval);
-      const duration = Date.now() - t6;
-      const expected = Math.floor(duration / 5);
-      console.log(`   Concurrent work: ${concurrentWork}/${expected} expected iterations`);
-      console.log(`   Efficiency: ${(concurrentWork / expected * 100).toFixed(1)}%`);
-    } catch (e) {
-      clearInterval(workInterval);
-      const duration = Date.now() - t6;
-      const expected = Math.floor(duration / 5);
-      console.log(`   Concurrent work: ${concurrentWork}/${expected} iterations during timeout`);
+  return { createdAt, environment: collectEnvironment(), options, results };
+}
+
+// How long each approach is kept busy in the HTTP latency test
+const HTTP_WINDOW_MS = 1000;
+
+// The --http mode: small GETs against a local server on this process while
+// each approach serializes one payload after another for HTTP_WINDOW_MS,
+// with a setImmediate between serializations the way a server would handle
+// other I/O between responses. Idle latency comes first, as the baseline
+async function runHttpLatencyTest(approaches, { profiles, seed, yieldMs, httpRate, httpSize }) {
+  const profile = profiles[0];
+  const payload = createTestObject(httpSize, { profile, seed });
+  const payloadKB = JSON.stringify(payload).length / 1024;
+
+  console.log('\n' + '='.repeat(80));
+  console.log(`HTTP LATENCY TEST: ${httpRate} small requests/s while serializing ${payloadKB.toFixed(1)} KB`);
+  console.log(`Profile: ${profile}, size ${httpSize}, seed ${seed}; each approach serializes back to back for ${HTTP_WINDOW_MS}ms`);
+  console.log('='.repeat(80) + '\n');
+
+  const probe = new HttpLatencyProbe({ ratePerSecond: httpRate });
+  const records = [];
+  try {
+    await probe.start();
+    await new Promise(r => setTimeout(r, HTTP_WINDOW_MS));
+    const idle = await probe.stop();
+    console.log(`   Idle: ${formatHttpLatency(idle)}`);
+    records.push({ approach: 'idle', name: 'Idle', runs: 0, ...idle });
+
+    for (const approach of approaches) {
+      if (!approach.available()) {
+        console.log(`   ${approach.name}: ⚠️  Unavailable: ${approach.unavailableReason || 'not supported in this environment'} - skipped`);
+        continue;
+      }
+
+      let runs = 0;
+      let error = null;
+      await probe.start();
+      const deadline = performance.now() + HTTP_WINDOW_MS;
+      do {
+        try {
+          await approach.stringify(payload, { yieldEveryMs: yieldMs });
+          runs++;
+        } catch (e) {
+          error = e.message;
+          break;
+        }
+        await new Promise(r => setImmediate(r));
+      } while (performance.now() < deadline);
+      const latency = await probe.stop();
+
+      const failed = error ? `, ❌ failed: ${error}` : '';
+      console.log(`   ${approach.name}: ${formatHttpLatency(latency)} (${runs} serializations${failed})`);
+      records.push({ approach: approach.key, name: approach.name, runs, ...latency, ...(error ? { error } : {}) });
     }
+  } finally {
+    await probe.close();
   }
 
+  return records;
+}
+
+// Jain's fairness index: 1 when every value is equal, 1/n when one value
+// takes everything
+function jainIndex(values) {
+  const sum = values.reduce((a, b) => a + b, 0);
+  const squares = values.reduce((a, b) => a + b * b, 0);
+  return sum * sum / (values.length * squares);
+}
+
+// `tasks` optimized-async serializations of mixed sizes started at once,
+// first each yielding on its own and then under one CooperativeScheduler
+// limited to `concurrency`. Every fourth task has priority 1. Reports each
+// task's completion time and slowdown against running alone, the fairness
+// of the slowdowns (also with each one multiplied by the task's weight of
+// 2 ** priority, which the scheduler is meant to even out), the mean
+// slowdown per size, throughput and event-loop lag
+async function runConcurrentTasksTest({ seed, yieldMs, tasks: taskCount, concurrency }) {
+  console.log('\n' + '='.repeat(80));
+  console.log(`CONCURRENT SERIALIZATIONS TEST: ${taskCount} tasks of mixed sizes, optimized async`);
+  console.log('Independent setImmediate yields vs one shared scheduler');
+  console.log('='.repeat(80));
+
+  const random = createRandom(seed);
+  const sizes = [10, 100, 1000];
+  const objects = new Map(sizes.map(size => [size, createTestObject(size, { seed })]));
+  const specs = Array.from({ length: taskCount }, (_, i) => ({
+    size: random.pick(sizes),
+    priority: i % 4 === 3 ? 1 : 0
+  }));
+
+  // Median of 5 runs alone, after a warmup run
+  const solo = new Map();
+  for (const size of sizes) {
+    const times = [];
+    if (global.gc) global.gc();
+    for (let i = 0; i < 6; i++) {
+      const start = process.hrtime.bigint();
+      await stringifyAsync(objects.get(size), { yieldEveryMs: yieldMs });
+      if (i > 0) times.push(elapsedMs(start));
+    }
+    solo.set(size, summarizeTimes(times).median);
+  }
+
+  const runAll = async scheduler => {
+    const monitor = new EventLoopMonitor();
+    await monitor.start();
+    const start = process.hrtime.bigint();
+    let bytes = 0;
+    const done = await Promise.all(specs.map(async ({ size, priority }) => {
+      const result = await stringifyAsync(objects.get(size), { yieldEveryMs: yieldMs, scheduler, priority });
+      bytes += result.length;
+      return elapsedMs(start);
+    }));
+    const wallMs = elapsedMs(start);
+    const lag = await monitor.stop();
+    const slowdowns = done.map((ms, i) => ms / solo.get(specs[i].size));
+    return { done, slowdowns, wallMs, bytes, lag };
+  };
+
+  const modes = [
+    ['Independent', await runAll(null)],
+    [`Shared scheduler (concurrency ${concurrency})`, await runAll(new CooperativeScheduler({ concurrency }))]
+  ];
+
+  console.log(`\nSolo times: ${sizes.map(size => `size ${size}=${formatMs(solo.get(size))}`).join(', ')}\n`);
+  console.log('   Task  Size  Prio     Independent        Shared');
+  specs.forEach(({ size, priority }, i) => {
+    const cells = modes.map(([, run]) => `${formatMs(run.done[i]).padStart(9)} ${`${run.slowdowns[i].toFixed(1)}x`.padStart(6)}`);
+    console.log(`   ${String(i + 1).padStart(4)}  ${String(size).padStart(4)}  ${String(priority).padStart(4)}  ${cells.join('  ')}`);
+  });
+  console.log();
+
+  const meanSlowdown = (slowdowns, include) => {
+    const values = slowdowns.filter((_, i) => include(specs[i]));
+    return values.length === 0 ? '-' : `${(values.reduce((a, b) => a + b, 0) / values.length).toFixed(1)}x`;
+  };
+  for (const [label, { slowdowns, wallMs, bytes, lag }] of modes) {
+    const weighted = slowdowns.map((slowdown, i) => slowdown * 2 ** specs[i].priority);
+    const byPriority = [0, 1].map(priority => `prio ${priority} ${meanSlowdown(slowdowns, spec => spec.priority === priority)}`);
+    const bySize = sizes.map(size => `size ${size} ${meanSlowdown(slowdowns, spec => spec.size === size)}`);
+    console.log(`${label}:`);
+    console.log(`   Wall time ${formatMs(wallMs)}, throughput ${(bytes / 1024 / 1024 / (wallMs / 1000)).toFixed(1)} MB/s`);
+    console.log(`   Fairness (Jain's index over slowdowns): ${jainIndex(slowdowns).toFixed(3)}, weighted by priority ${jainIndex(weighted).toFixed(3)}`);
+    console.log(`   Mean slowdown: ${byPriority.join(', ')}; ${bySize.join(', ')}`);
+    console.log(`   Event loop: ${formatEventLoopStats(lag)}`);
+  }
+}
+
+// How far past the target a timeout or abort may reject and still count as
+// on time: a yield slice of overshoot plus timer and GC jitter
+const INTERRUPT_TOLERANCE_MS = 25;
+
+// What went wrong with a rejection `actualTime` ms into a run that should
+// have stopped at `targetTimeout`, given the leftover work after it
+function interruptionProblems(actualTime, targetTimeout, leftover) {
+  const problems = [];
+  const late = actualTime - targetTimeout;
+  if (late > INTERRUPT_TOLERANCE_MS) {
+    problems.push(`${late}ms past the target, over the ${INTERRUPT_TOLERANCE_MS}ms tolerance`);
+  }
+  if (!leftover.stopped) problems.push('the work kept running');
+  return problems;
+}
+
+// Interruption and abort signal tests on the 20MB object, for every selected
+// approach that can be interrupted. Returns the runs that failed, as
+// "<label> <test>: <what went wrong>" for the summary
+async function runInterruptionTests(approaches, { seed, yieldMs, interruptMs: targetTimeout }) {
+  const interruptible = approaches.filter(approach => !approach.blocking && approach.available());
+  const unavailable = approaches.filter(approach => !approach.available());
+  const misses = [];
+  if (interruptible.length === 0) return misses;
+
   // ============================================================================
   // INTERRUPTION TEST - Aggressive timeout on massive object
   // ============================================================================
   console.log('\n' + '='.repeat(80));
-  console.log('INTERRUPTION TEST: 50ms timeout on 20MB object');
+  console.log(`INTERRUPTION TEST: ${targetTimeout}ms timeout on 20MB object`);
   console.log('Testing that all approaches can be cleanly interrupted');
   console.log('='.repeat(80));
 
-  const massiveObj = createTestObject(10000);
-  const targetTimeout = 50;
+  const massiveObj = createTestObject(10000, { seed });
 
-  console.log(`\nObject size: ~20MB, Target timeout: ${targetTimeout}ms`);
-  console.log('Expected: All approaches should timeout close to 50ms\n');
+  // Start from an idle process so leftover work is attributed correctly
+  await measureLeftoverWork();
 
-  // Test Fiber-based
-  console.log('1. FIBER-based interruption:');
-  const fiberStart = Date.now();
-  try {
-    await new Promise((resolve, reject) => {
-      runWithFiber(() => fiberStringify(massiveObj, 5), targetTimeout)
-        .then(resolve)
-        .catch(reject);
-    });
-    console.log('   ❌ Should have timed out!');
-  } catch (error) {
-    const actualTime = Date.now() - fiberStart;
-    const difference = actualTime - targetTimeout;
-    console.log(`   ✅ Interrupted successfully`);
-    console.log(`   Target: ${targetTimeout}ms, Actual: ${actualTime}ms, Diff: ${difference >= 0 ? '+' : ''}${difference}ms`);
-    console.log(`   Error: ${error.message}`);
+  console.log(`\nObject size: ~20MB, Target timeout: ${targetTimeout}ms`);
+  console.log(`Expected: All approaches should time out within ${INTERRUPT_TOLERANCE_MS}ms of ${targetTimeout}ms`);
+  if (unavailable.length > 0) {
+    console.log(`Skipped, unavailable: ${unavailable.map(approach => approach.name).join(', ')}`);
+  }
+  console.log();
+
+  const massiveText = JSON.stringify(massiveObj);
+  // [label, run(options), cancellable] for every stringify and parse on offer
+  const runs = [];
+  for (const approach of interruptible) {
+    const label = approach.name.toUpperCase();
+    runs.push([label, options => approach.stringify(massiveObj, options), true]);
+    if (approach.parse) {
+      runs.push([`${label} PARSE`, options => approach.parse(massiveText, options), approach.parseCancellable]);
+    }
   }
 
-  // Test Yieldable-json
-  console.log('\n2. YIELDABLE-JSON interruption:');
-  const yieldableStart = Date.now();
-  try {
-    await asyncStringifyYieldable(massiveObj, targetTimeout, 5);
-    console.log('   ❌ Should have timed out!');
-  } catch (error) {
-    const actualTime = Date.now() - yieldableStart;
-    const difference = actualTime - targetTimeout;
-    console.log(`   ✅ Interrupted successfully`);
-    console.log(`   Target: ${targetTimeout}ms, Actual: ${actualTime}ms, Diff: ${difference >= 0 ? '+' : ''}${difference}ms`);
-    console.log(`   Error: ${error.message}`);
+  for (const [index, [label, run]] of runs.entries()) {
+    console.log(`${index === 0 ? '' : '\n'}${index + 1}. ${label} interruption:`);
+    // Settle GC debt from earlier tests so it doesn't land in the leftover window
+    if (global.gc) global.gc();
+    const start = Date.now();
+    let rejection = null;
+    try {
+      await run({ timeoutMs: targetTimeout, yieldEveryMs: yieldMs });
+    } catch (error) {
+      rejection = { error, actualTime: Date.now() - start };
+    }
+
+    // A rejection only counts if the work behind it stopped too
+    const leftover = await measureLeftoverWork();
+    if (rejection) {
+      const { error, actualTime } = rejection;
+      const difference = actualTime - targetTimeout;
+      const problems = interruptionProblems(actualTime, targetTimeout, leftover);
+      console.log(`   ${problems.length === 0 ? '✅ Interrupted successfully' : `❌ Interrupted, but ${problems.join(' and ')}`}`);
+      console.log(`   Target: ${targetTimeout}ms, Actual: ${actualTime}ms, Diff: ${difference >= 0 ? '+' : ''}${difference}ms`);
+      console.log(`   Error: ${error.message}`);
+      if (problems.length > 0) misses.push(`${label} interruption: ${problems.join(' and ')}`);
+    } else {
+      console.log('   ❌ Should have timed out!');
+      misses.push(`${label} interruption: never timed out`);
+    }
+    console.log(`   ${formatLeftoverWork(leftover)}`);
   }
 
-  // Test Custom Async
-  console.log('\n3. CUSTOM ASYNC interruption:');
-  const asyncStart = Date.now();
-  try {
-    await asyncStringify(massiveObj, targetTimeout, 5);
-    console.log('   ❌ Should have timed out!');
-  } catch (error) {
-    const actualTime = Date.now() - asyncStart;
-    const difference = actualTime - targetTimeout;
-    console.log(`   ✅ Interrupted successfully`);
-    console.log(`   Target: ${targetTimeout}ms, Actual: ${actualTime}ms, Diff: ${difference >= 0 ? '+' : ''}${difference}ms`);
-    console.log(`   Error: ${error.message}`);
+  // ============================================================================
+  // ABORT SIGNAL TEST - caller-supplied signal, e.g. the client went away
+  // ============================================================================
+  console.log('\n' + '='.repeat(80));
+  console.log(`ABORT SIGNAL TEST: caller aborts after ${targetTimeout}ms, no timeout set`);
+  console.log('Testing that every approach rejects with an AbortError carrying signal.reason');
+  console.log('='.repeat(80) + '\n');
+
+  // Uncancellable parses are left out - they would only keep the CPU busy
+  const abortRuns = runs.filter(([, , cancellable]) => cancellable);
+  for (const [index, [label, run]] of abortRuns.entries()) {
+    console.log(`${index + 1}. ${label} abort:`);
+    const abortController = new AbortControllerImpl();
+    const abortTimer = setTimeout(() => abortController.abort(new Error('Client closed request')), targetTimeout);
+    const abortStart = Date.now();
+    let rejection = null;
+    try {
+      await run({ yieldEveryMs: yieldMs, signal: abortController.signal });
+    } catch (error) {
+      rejection = { error, actualTime: Date.now() - abortStart };
+    }
+    clearTimeout(abortTimer);
+
+    const leftover = await measureLeftoverWork();
+    if (!rejection) {
+      console.log('   ❌ Should have been aborted!');
+      misses.push(`${label} abort: never aborted`);
+    } else if (rejection.error.name !== 'AbortError') {
+      console.log(`   ❌ ${rejection.error.name} after ${rejection.actualTime}ms: ${rejection.error.message}`);
+      misses.push(`${label} abort: ${rejection.error.name} instead of AbortError`);
+    } else {
+      const { error, actualTime } = rejection;
+      const problems = interruptionProblems(actualTime, targetTimeout, leftover);
+      const reason = `(reason: ${error.reason && error.reason.message})`;
+      if (problems.length === 0) {
+        console.log(`   ✅ AbortError after ${actualTime}ms ${reason}`);
+      } else {
+        console.log(`   ❌ AbortError after ${actualTime}ms ${reason}, but ${problems.join(' and ')}`);
+        misses.push(`${label} abort: ${problems.join(' and ')}`);
+      }
+    }
+    console.log(`   ${formatLeftoverWork(leftover)}`);
   }
 
-  // Test Optimized Async
-  console.log('\n4. OPTIMIZED ASYNC interruption:');
-  const optimizedStart = Date.now();
-  try {
-    await asyncStringifyOptimized(massiveObj, targetTimeout, 5);
-    console.log('   ❌ Should have timed out!');
-  } catch (error) {
-    const actualTime = Date.now() - optimizedStart;
-    const difference = actualTime - targetTimeout;
-    console.log(`   ✅ Interrupted successfully`);
-    console.log(`   Target: ${targetTimeout}ms, Actual: ${actualTime}ms, Diff: ${difference >= 0 ? '+' : ''}${difference}ms`);
-    console.log(`   Error: ${error.message}`);
+  const pausable = interruptible.filter(approach => approach.serializer);
+  if (pausable.length > 0) {
+    const reference = { hash: getHash(massiveText), bytes: Buffer.byteLength(massiveText) };
+    await runPauseResumeTest(pausable, massiveObj, reference, { yieldMs, interruptMs: targetTimeout });
   }
+  return misses;
+}
+
+const PAUSES = 3;
+const PAUSE_HOLD_MS = 50;
 
+// Pauses each serializer PAUSES times, `interruptMs` into each stretch of
+// work, and holds it for PAUSE_HOLD_MS: how long pause() and resume() take
+// to land, how far along it was, that nothing ran while paused, and that
+// the resumed output still matches the reference
+async function runPauseResumeTest(approaches, massiveObj, reference, { yieldMs, interruptMs }) {
   console.log('\n' + '='.repeat(80));
-  console.log('SUMMARY:');
-  console.log('- Native: Fast but blocks event loop completely');
-  console.log('- Fiber: Can yield but requires special runtime (deprecated)');
-  console.log('- Async/await: Modern, non-blocking, timeout-capable');
-  console.log('- All approaches can be interrupted by timeout');
-  console.log('- Multiple iterations provide more accurate timing measurements');
-  console.log('- Best time represents optimal performance without system noise');
-  console.log('- Interruption happens within milliseconds of the target timeout');
-  console.log('- Async/await allows true concurrent work during serialization');
-  console.log('='.repeat(80));
+  console.log(`PAUSE/RESUME TEST: ${PAUSES} pauses of ${PAUSE_HOLD_MS}ms, ${interruptMs}ms of work apart`);
+  console.log('Testing that a paused serialization holds still and resumes where it stopped');
+  console.log('='.repeat(80) + '\n');
+
+  for (const [index, approach] of approaches.entries()) {
+    console.log(`${index + 1}. ${approach.name.toUpperCase()} pause/resume:`);
+    if (global.gc) global.gc();
+    const serializer = approach.serializer(massiveObj, { yieldEveryMs: yieldMs });
+    const start = process.hrtime.bigint();
+    const result = serializer.start();
+    // Attach now so a failure between pauses isn't an unhandled rejection
+    result.catch(() => {});
+    const pauseLatencies = [];
+    const resumeLatencies = [];
+    let heldStill = true;
+
+    try {
+      for (let i = 0; i < PAUSES && serializer.state === 'running'; i++) {
+        await new Promise(r => setTimeout(r, interruptMs));
+        let mark = process.hrtime.bigint();
+        await serializer.pause();
+        if (serializer.state !== 'paused') break;
+        pauseLatencies.push(elapsedMs(mark));
+
+        const { nodes, bytes } = serializer.progress;
+        await new Promise(r => setTimeout(r, PAUSE_HOLD_MS));
+        if (serializer.progress.nodes !== nodes) heldStill = false;
+        const mb = n => (n / 1024 / 1024).toFixed(1);
+        console.log(`   Pause ${i + 1}: ${mb(bytes)}MB of ${mb(reference.bytes)}MB produced (${(bytes / reference.bytes * 100).toFixed(0)}%), ${nodes} nodes`);
+
+        mark = process.hrtime.bigint();
+        await serializer.resume();
+        resumeLatencies.push(elapsedMs(mark));
+      }
+
+      const output = await result;
+      const wallMs = elapsedMs(start);
+      const latency = times => times.length === 0 ? 'n/a' :
+        `avg ${formatMs(times.reduce((sum, t) => sum + t, 0) / times.length)}, max ${formatMs(Math.max(...times))}`;
+      console.log(`   Pause latency: ${latency(pauseLatencies)}; resume latency: ${latency(resumeLatencies)}`);
+      console.log(`   ${heldStill ? '✅ No progress while paused' : '❌ Kept running while paused'}`);
+      console.log(`   Finished in ${formatMs(wallMs)} wall time, ~${formatMs(pauseLatencies.length * PAUSE_HOLD_MS)} of it paused`);
+      const hash = getHash(output);
+      console.log(`   Validation: ${hash === reference.hash ? '✅ PASS' : '❌ FAIL'} (hash: ${hash})`);
+    } catch (error) {
+      console.log(`   ❌ ${error.name}: ${error.message}`);
+    }
+  }
+}
+
+// Runs the benchmark, then writes the results files and compares against the
+// baseline. Exits 1 (via exitCode) when anything regressed
+async function main(options) {
+  // Read the baseline up front so a bad path fails before a long run
+  const baseline = options.compare ? loadResults(options.compare) : null;
+  const report = await runBenchmark(options);
+
+  if (options.json) writeResultsJson(options.json, report);
+  if (options.csv) writeResultsCsv(options.csv, report);
+  if (baseline) {
+    const comparison = compareResults(report, baseline, { thresholdPercent: options.threshold });
+    printComparison(comparison, baseline, report, options.threshold);
+    if (comparison.regressions.length > 0) process.exitCode = 1;
+  }
 }
 
 // Run
 if (require.main === module) {
-  runBenchmark().catch(console.error);
-}
\ No newline at end of file
+  let options = null;
+  try {
+    const parsed = parseArgs(process.argv.slice(2));
+    for (const file of parsed.load) loadApproaches(file);
+    // Check --approach and --fixtures now rather than after the test objects are built
+    selectApproaches(parsed.approaches);
+    if (parsed.fixtures.length > 0) findFixtures(parsed.fixtures);
+    options = parsed;
+  } catch (error) {
+    console.error(`${error.message}\nRun with --help for usage.`);
+    process.exitCode = 2;
+  }
+
+  if (options && options.help) {
+    console.log(usage());
+  } else if (options) {
+    main(options)
+      .catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+      })
+      .finally(destroyDefaultWorkerPool);
+  }
+}
+
+// For the tests in test/: conformance checks every registered approach,
+// and the sendJson checks use the generated payloads
+module.exports = { registry, createRandom, createTestObject };
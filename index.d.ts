@@ -0,0 +1,229 @@
+/// <reference types="node" />
+
+import { Readable, Writable } from 'stream';
+import { IncomingMessage, ServerResponse } from 'http';
+
+export type Replacer = ((this: any, key: string, value: any) => any) | Array<string | number> | null;
+export type Reviver = (this: any, key: string, value: any) => any;
+export type CyclePolicy = 'throw' | 'placeholder' | 'ref';
+export type Strategy = 'fast-path' | 'walk' | 'worker';
+export type Limit = 'maxBytes' | 'maxDepth' | 'maxArrayLength' | 'maxStringLength';
+export type LimitPolicy = 'throw' | 'truncate' | 'omit';
+
+/** Anything with the AbortSignal shape: native (Node 15+) or SimpleAbortController's */
+export interface AbortSignalLike {
+  readonly aborted: boolean;
+  readonly reason?: any;
+  addEventListener(type: 'abort', listener: (event: any) => void): void;
+  removeEventListener(type: 'abort', listener: (event: any) => void): void;
+}
+
+/** Subtrees within all of these limits go to JSON.stringify in one call */
+export interface FastPathLimits {
+  maxDepth: number;
+  maxArrayLength: number;
+  maxKeys: number;
+  maxStringLength: number;
+}
+
+export const FAST_PATH_DEFAULTS: Readonly<FastPathLimits>;
+
+/** What `onSchedule` receives after each successful run */
+export interface ScheduleSummary {
+  budgetMs: number;
+  yields: number;
+  clockReads: number;
+  sliceP50Ms: number;
+  sliceP90Ms: number;
+  sliceP99Ms: number;
+  sliceMaxMs: number;
+}
+
+/** What `onProgress` receives at every yield and on completion */
+export interface Progress {
+  /** Values visited so far */
+  nodes: number;
+  /** UTF-8 bytes of output produced so far */
+  bytes: number;
+  /** Current nesting depth */
+  depth: number;
+  /** Estimated fraction done; null without `prescan`, 1 on completion */
+  fraction: number | null;
+}
+
+/** What `onTimings` receives for the worker strategy */
+export interface WorkerTimings {
+  serializeMs: number;
+  cloneInMs: number;
+  deliverMs: number;
+  returnMs: number;
+}
+
+/**
+ * The worker strategy takes `replacer` (an array only), `space`, `timeoutMs`,
+ * `signal`, `pool` and `onTimings`; passing any other option with it throws
+ * a TypeError
+ */
+export interface StringifyOptions {
+  replacer?: Replacer;
+  space?: string | number;
+  /** Default 'fast-path' */
+  strategy?: Strategy;
+  /** Time-slice budget in ms, default 5. Not supported by the worker strategy */
+  yieldEveryMs?: number;
+  timeoutMs?: number;
+  signal?: AbortSignalLike;
+  /** Default 'throw', like JSON.stringify. Not supported by the worker strategy */
+  onCycle?: CyclePolicy;
+  /** Not supported by the worker strategy */
+  fastPath?: Partial<FastPathLimits>;
+  /** Not supported by the worker strategy */
+  scheduler?: CooperativeScheduler;
+  /** Only with `scheduler`; default 0 */
+  priority?: number;
+  /** Not supported by the worker strategy */
+  onSchedule?: (summary: ScheduleSummary) => void;
+  /** Not supported by the worker strategy */
+  onProgress?: (progress: Progress) => void;
+  /** Count the nodes first so `onProgress` can estimate the fraction done. Not supported by the worker strategy */
+  prescan?: boolean;
+  /** UTF-8 bytes of output. Limits are not supported by the worker strategy */
+  maxBytes?: number;
+  /** Levels of arrays and objects; the top-level one is level 1 */
+  maxDepth?: number;
+  maxArrayLength?: number;
+  /** UTF-16 code units, as in String#length */
+  maxStringLength?: number;
+  /** What happens to a value past a limit, for all of them or by limit; default 'throw'. Not supported by the worker strategy */
+  onLimit?: LimitPolicy | Partial<Record<Limit, LimitPolicy>>;
+  /** Worker strategy only */
+  pool?: WorkerPool;
+  /** Worker strategy only */
+  onTimings?: (timings: WorkerTimings) => void;
+}
+
+/** Passing any of the omitted options throws a TypeError */
+export interface StreamOptions extends Omit<StringifyOptions, 'strategy' | 'pool' | 'onTimings' | 'scheduler' | 'priority' | 'onSchedule' | 'onProgress' | 'prescan' | Limit | 'onLimit'> {
+  /** Characters per chunk, default 65536 */
+  chunkSize?: number;
+  /** Emit Buffers instead of strings */
+  asBuffer?: boolean;
+}
+
+export interface ParseOptions {
+  reviver?: Reviver;
+  timeoutMs?: number;
+  yieldEveryMs?: number;
+  signal?: AbortSignalLike;
+}
+
+export interface SendJsonOptions {
+  replacer?: Replacer;
+  space?: string | number;
+  yieldEveryMs?: number;
+  chunkSize?: number;
+  timeoutMs?: number;
+  signal?: AbortSignalLike;
+  /** Only used for compress: 'auto' */
+  req?: IncomingMessage;
+  /** Default 'error' */
+  onTimeout?: 'error' | 'partial';
+  /** Default 503 */
+  timeoutStatus?: number;
+  /** Default false */
+  compress?: 'gzip' | 'br' | 'auto' | false;
+  /** Bytes to buffer before switching to chunked encoding, default 1MB */
+  maxBuffer?: number;
+}
+
+export interface SendJsonResult {
+  outcome: 'sent' | 'timeout' | 'aborted';
+  statusCode: number;
+  /** Before compression */
+  bytes: number;
+  encoding: 'gzip' | 'br' | null;
+  chunked: boolean;
+}
+
+/** Same output as JSON.stringify(value, replacer, space), without blocking the event loop */
+export function stringifyAsync(value: any, options?: StringifyOptions): Promise<string | undefined>;
+
+/** Same output as JSON.parse(text, reviver), without blocking the event loop */
+export function parseAsync(text: string, options?: ParseOptions): Promise<any>;
+
+/** Readable of the serialized value; serialization follows the consumer's reads */
+export function stringifyStream(value: any, options?: StreamOptions): Readable;
+
+/** Serializes into `writable` with backpressure; resolves once it has finished */
+export function pipeStringify(value: any, writable: Writable, options?: StreamOptions): Promise<void>;
+
+export function sendJson(res: ServerResponse, value: any, options?: SendJsonOptions): Promise<SendJsonResult>;
+
+/**
+ * A stringifyAsync run ('fast-path' or 'walk') that can be paused at the
+ * next value and resumed later, keeping the work done so far
+ */
+export class Serializer {
+  constructor(value: any, options?: Omit<StringifyOptions, 'strategy' | 'pool' | 'onTimings'> & { strategy?: 'fast-path' | 'walk' });
+  readonly state: 'idle' | 'running' | 'paused' | 'done' | 'failed' | 'aborted';
+  /** The latest progress report: output produced so far */
+  readonly progress: Progress;
+  /** Set by start() */
+  readonly result: Promise<string | undefined> | null;
+  start(): Promise<string | undefined>;
+  /** Resolves once the walk is held, or has finished */
+  pause(): Promise<void>;
+  /** Resolves once the walk is running again */
+  resume(): Promise<void>;
+  /** The result rejects with an AbortError carrying `reason` */
+  abort(reason?: any): void;
+}
+
+/** What a value past a limit rejects with under the 'throw' policy */
+export class LimitExceededError extends RangeError {
+  constructor(limit: Limit, max: number, message: string);
+  readonly name: 'LimitExceededError';
+  readonly code: 'ERR_LIMIT_EXCEEDED';
+  readonly limit: Limit;
+  readonly max: number;
+}
+
+export class CooperativeScheduler {
+  /** Default concurrency 4 */
+  constructor(options?: { concurrency?: number });
+  readonly concurrency: number;
+}
+
+export class WorkerPool {
+  constructor(size?: number);
+  destroy(): void;
+}
+
+/** Terminates the pool the worker strategy uses when no `pool` is given */
+export function destroyDefaultWorkerPool(): void;
+
+export class AbortError extends Error {
+  constructor(reason?: any);
+  readonly name: 'AbortError';
+  readonly code: 'ABORT_ERR';
+  readonly reason: any;
+}
+
+export class SimpleAbortController {
+  readonly signal: AbortSignalLike & { throwIfAborted(): void };
+  abort(reason?: any): void;
+}
+
+/** Native AbortController where available, SimpleAbortController otherwise */
+export const AbortController: {
+  new (): { readonly signal: AbortSignalLike; abort(reason?: any): void };
+};
+
+/**
+ * Forwards `signal` into `controller` as an AbortError carrying
+ * signal.reason. Returns the function that detaches it again
+ */
+export function linkSignal(
+  signal: AbortSignalLike | undefined,
+  controller: { abort(reason?: any): void }
+): () => void;
@@ -0,0 +1,1934 @@
+/**
+ * Non-blocking JSON serialization for Node.js: JSON.stringify and
+ * JSON.parse output, produced in time slices that leave the event loop free
+ */
+
+const os = require('os');
+const zlib = require('zlib');
+const { Readable, finished: finishedCallback } = require('stream');
+const { types, promisify } = require('util');
+const { performance } = require('perf_hooks');
+const { Worker } = require('worker_threads');
+
+const finished = promisify(finishedCallback);
+
+// ============================================================================
+// Abort Signals
+// ============================================================================
+
+// Rejection for caller-initiated cancellation, shaped like Node's own AbortError
+class AbortError extends Error {
+  constructor(reason) {
+    super('The operation was aborted');
+    this.name = 'AbortError';
+    this.code = 'ABORT_ERR';
+    this.reason = reason;
+  }
+}
+
+// Simple AbortController polyfill for Node 14 (native exists from Node 15)
+class SimpleAbortSignal {
+  constructor() {
+    this.aborted = false;
+    this.reason = undefined;
+    this.onabort = null;
+    this.listeners = new Set();
+  }
+
+  addEventListener(type, listener) {
+    if (type === 'abort') this.listeners.add(listener);
+  }
+
+  removeEventListener(type, listener) {
+    if (type === 'abort') this.listeners.delete(listener);
+  }
+
+  throwIfAborted() {
+    if (this.aborted) throw this.reason;
+  }
+}
+
+class SimpleAbortController {
+  constructor() {
+    this.signal = new SimpleAbortSignal();
+  }
+
+  abort(reason = new AbortError()) {
+    const signal = this.signal;
+    if (signal.aborted) return;
+
+    signal.aborted = true;
+    signal.reason = reason;
+
+    const event = { type: 'abort', target: signal };
+    if (typeof signal.onabort === 'function') signal.onabort(event);
+    for (const listener of signal.listeners) {
+      listener.call(signal, event);
+    }
+  }
+}
+
+// What callers should use to create signals for the serializers
+const AbortControllerImpl = typeof AbortController === 'function' ? AbortController : SimpleAbortController;
+
+// Forward a caller-supplied AbortSignal (native or polyfilled) into an
+// internal controller as an AbortError carrying signal.reason. Returns the
+// function that detaches it again
+function linkSignal(signal, controller) {
+  if (!signal) return () => {};
+
+  const onAbort = () => controller.abort(new AbortError(signal.reason));
+  if (signal.aborted) {
+    onAbort();
+    return () => {};
+  }
+
+  signal.addEventListener('abort', onAbort);
+  return () => signal.removeEventListener('abort', onAbort);
+}
+
+// ============================================================================
+// JSON.stringify Semantics (shared by the async serializers)
+// ============================================================================
+
+// Resolve the replacer and space arguments the way JSON.stringify does
+function normalizeStringifyArgs(replacer, space) {
+  let replacerFn = null;
+  let propertyList = null;
+
+  if (typeof replacer === 'function') {
+    replacerFn = replacer;
+  } else if (Array.isArray(replacer)) {
+    const seen = new Set();
+    for (const item of replacer) {
+      let name;
+      if (typeof item === 'string') {
+        name = item;
+      } else if (typeof item === 'number' || types.isNumberObject(item) || types.isStringObject(item)) {
+        name = String(item);
+      }
+      if (name !== undefined && !seen.has(name)) {
+        seen.add(name);
+      }
+    }
+    propertyList = Array.from(seen);
+  }
+
+  if (types.isNumberObject(space)) {
+    space = Number(space);
+  } else if (types.isStringObject(space)) {
+    space = String(space);
+  }
+
+  let gap = '';
+  if (typeof space === 'number') {
+    gap = ' '.repeat(Math.max(0, Math.min(10, Math.trunc(space) || 0)));
+  } else if (typeof space === 'string') {
+    gap = space.slice(0, 10);
+  }
+
+  return { replacerFn, propertyList, gap };
+}
+
+// SerializeJSONProperty steps 1-4: read holder[key], apply toJSON and the
+// replacer, then unwrap boxed primitives
+function resolveValue(holder, key, replacerFn) {
+  let value = holder[key];
+  const type = typeof value;
+
+  if ((value !== null && (type === 'object' || type === 'function')) || type === 'bigint') {
+    const toJSON = value.toJSON;
+    if (typeof toJSON === 'function') {
+      value = toJSON.call(value, key);
+    }
+  }
+
+  if (replacerFn) {
+    value = replacerFn.call(holder, key, value);
+  }
+
+  if (value !== null && typeof value === 'object' && types.isBoxedPrimitive(value)) {
+    if (types.isNumberObject(value)) {
+      value = Number(value);
+    } else if (types.isStringObject(value)) {
+      value = String(value);
+    } else if (types.isBooleanObject(value)) {
+      value = Boolean.prototype.valueOf.call(value);
+    } else if (types.isBigIntObject(value)) {
+      value = BigInt.prototype.valueOf.call(value);
+    }
+  }
+
+  return value;
+}
+
+// Non-object values after resolveValue; undefined means "omit"
+function stringifyPrimitive(value) {
+  switch (typeof value) {
+    case 'string':
+      return JSON.stringify(value);
+    case 'number':
+      return Number.isFinite(value) ? String(value) : 'null';
+    case 'boolean':
+      return value ? 'true' : 'false';
+    case 'bigint':
+      throw new TypeError('Do not know how to serialize a BigInt');
+    default:
+      return undefined; // undefined, functions and symbols
+  }
+}
+
+// End of the next string chunk, never splitting a surrogate pair - each half
+// would otherwise be escaped as a lone surrogate
+function chunkEnd(str, start, size) {
+  let end = Math.min(start + size, str.length);
+  const last = str.charCodeAt(end - 1);
+  if (last >= 0xd800 && last <= 0xdbff && end < str.length) {
+    end++;
+  }
+  return end;
+}
+
+// Cycle handling for the custom serializers. `ancestors` holds the objects
+// currently being serialized and `path` the key each one was reached by, so
+// shared (non-cyclic) references are serialized in full like native does
+const CYCLE_POLICIES = ['throw', 'placeholder', 'ref'];
+
+function handleCycle(onCycle, ancestors, path, index, key) {
+  if (onCycle === 'placeholder') {
+    return '"[Circular]"';
+  }
+
+  if (onCycle === 'ref') {
+    // JSON pointer to the ancestor, i.e. the first occurrence on this path
+    return '{"$ref":' + JSON.stringify(jsonPointer(path.slice(1, index + 1))) + '}';
+  }
+
+  throw circularError(ancestors, path, index, key);
+}
+
+// URI fragment JSON pointer for a list of keys below the root
+function jsonPointer(segments) {
+  return '#' + segments.map(segment => '/' + segment.replace(/~/g, '~0').replace(/\//g, '~1')).join('');
+}
+
+// Same message layout V8 uses for JSON.stringify
+function circularError(ancestors, path, index, key) {
+  const describe = obj => {
+    const ctor = obj.constructor;
+    return `object with constructor '${(ctor && ctor.name) || 'Object'}'`;
+  };
+  const property = (holder, k) => Array.isArray(holder) ? `index ${k}` : `property '${k}'`;
+
+  const lines = ['Converting circular structure to JSON', `    --> starting at ${describe(ancestors[index])}`];
+  for (let i = index + 1; i < ancestors.length; i++) {
+    lines.push(`    |     ${property(ancestors[i - 1], path[i])} -> ${describe(ancestors[i])}`);
+  }
+  lines.push(`    --- ${property(ancestors[ancestors.length - 1], key)} closes the circle`);
+
+  return new TypeError(lines.join('\n'));
+}
+
+// Join serialized members, indenting them when space was given
+function joinParts(open, parts, close, gap, indent) {
+  if (parts.length === 0) return open + close;
+  if (!gap) return open + parts.join(',') + close;
+
+  const inner = indent + gap;
+  return open + '\n' + inner + parts.join(',\n' + inner) + '\n' + indent + close;
+}
+
+// ============================================================================
+// Output Limits
+// ============================================================================
+
+// Guards for the walk, each off unless set. What happens to a value past one
+// is up to its policy in `onLimit`:
+//   'throw'     reject with a LimitExceededError (default)
+//   'truncate'  keep what fits and mark the cut: a string keeps its first
+//               maxStringLength characters followed by "...[truncated N
+//               characters]", an array its first maxArrayLength items and a
+//               "[... N more items]" item, a container past maxDepth
+//               becomes "[Object]" or "[Array]", and once maxBytes is
+//               reached nothing more is added except a "[truncated]" item
+//               (or "...": "[truncated]" member) where it stopped
+//   'omit'      leave the value out, as JSON.stringify does with undefined
+//               (null in arrays); past maxBytes, stop without a marker
+// The output stays valid JSON. Under maxBytes it can only run over by the
+// marker and the brackets that close it
+const LIMITS = ['maxBytes', 'maxDepth', 'maxArrayLength', 'maxStringLength'];
+const LIMIT_POLICIES = ['throw', 'truncate', 'omit'];
+
+// Rejection for a value past one of the limits under the 'throw' policy.
+// `limit` names the option and `max` is its value
+class LimitExceededError extends RangeError {
+  constructor(limit, max, message) {
+    super(message);
+    this.name = 'LimitExceededError';
+    this.code = 'ERR_LIMIT_EXCEEDED';
+    this.limit = limit;
+    this.max = max;
+  }
+}
+
+// { maxBytes, ..., policies: { maxBytes: 'throw', ... } } from the
+// options; unset limits are Infinity. `onLimit` is one policy for all of
+// them or an object of policies by limit name
+function normalizeLimits(options) {
+  const { onLimit = 'throw' } = options;
+  const limits = { policies: {} };
+  for (const name of LIMITS) {
+    const max = options[name] === undefined ? Infinity : options[name];
+    if (max !== Infinity && !(Number.isInteger(max) && max >= 0)) {
+      throw new RangeError(`${name} must be a non-negative integer`);
+    }
+    const policy = onLimit !== null && typeof onLimit === 'object' ? onLimit[name] || 'throw' : onLimit;
+    if (!LIMIT_POLICIES.includes(policy)) {
+      throw new TypeError(`onLimit must be one of ${LIMIT_POLICIES.join(', ')}, or an object of them by limit`);
+    }
+    limits[name] = max;
+    limits.policies[name] = policy;
+  }
+  return limits;
+}
+
+// The first `length` characters of `str`, one less if that would split a
+// surrogate pair
+function truncateString(str, length) {
+  const code = str.charCodeAt(length - 1);
+  return str.slice(0, code >= 0xd800 && code <= 0xdbff ? length - 1 : length);
+}
+
+// What a child returns when it did not fit in maxBytes
+const OVER_BUDGET = Symbol('over budget');
+const TRUNCATED = '"[truncated]"';
+
+// ============================================================================
+// Adaptive Time-Slice Scheduler
+// ============================================================================
+
+// Cost units: one per value, plus one per this many characters of string
+// or fast-path output
+const STRING_CHARS_PER_UNIT = 256;
+const SLICE_INITIAL_UNITS = 100;
+const SLICE_MAX_UNITS = 1e6;
+
+// Decides when stringifyAsync yields. Work is counted in cost
+// units, and the clock is only read after enough units for about 1/8 of the
+// budget, going by a running estimate of the time per unit. That keeps
+// slices close to `budgetMs` whether the nodes are small numbers or long
+// strings, without reading the clock for every node. `yieldTurn(sliceMs)`
+// gives up the event loop; by default a setImmediate, or a turn from a
+// shared CooperativeScheduler, which may resolve to a shorter budget for
+// the next slice
+class SliceScheduler {
+  constructor(budgetMs = 5, yieldTurn = () => new Promise(r => setImmediate(r))) {
+    this.budgetMs = budgetMs;
+    this.turnMs = budgetMs;
+    this.yieldTurn = yieldTurn;
+    this.msPerUnit = null;
+    this.planned = SLICE_INITIAL_UNITS;
+    this.remaining = SLICE_INITIAL_UNITS;
+    this.sliceStart = performance.now();
+    this.lastCheck = this.sliceStart;
+    this.slices = [];
+    this.clockReads = 0;
+  }
+
+  // Starts the first slice now, e.g. after waiting for a scheduler slot,
+  // with `turnMs` as its budget if given (never more than budgetMs)
+  restart(turnMs) {
+    if (turnMs !== undefined) this.turnMs = Math.min(turnMs, this.budgetMs);
+    this.sliceStart = performance.now();
+    this.lastCheck = this.sliceStart;
+  }
+
+  // Counts `cost` units of work; true once the clock is due for a read
+  spend(cost) {
+    this.remaining -= cost;
+    return this.remaining <= 0;
+  }
+
+  // Reads the clock, refines the estimate and plans the next read. Yields
+  // once less than 1/16 of the budget is left, rather than reading the
+  // clock ever more often to land on it exactly. A GC pause in the last
+  // interval would inflate the estimate for several reads, so one sample
+  // can move it up by at most 4x. Resolves to whether it yielded
+  async check() {
+    let now = performance.now();
+    this.clockReads++;
+    const sample = Math.max(now - this.lastCheck, 0.001) / (this.planned - this.remaining);
+    this.msPerUnit = this.msPerUnit === null ? sample : this.msPerUnit * 0.7 + Math.min(sample, this.msPerUnit * 4) * 0.3;
+
+    let left = this.turnMs - (now - this.sliceStart);
+    const yielding = left <= this.turnMs / 16;
+    if (yielding) {
+      this.slices.push(now - this.sliceStart);
+      const turnMs = await this.yieldTurn(now - this.sliceStart);
+      this.turnMs = turnMs === undefined ? this.budgetMs : Math.min(turnMs, this.budgetMs);
+      now = performance.now();
+      this.sliceStart = now;
+      left = this.turnMs;
+    }
+    this.lastCheck = now;
+    const units = Math.ceil(Math.min(left, this.turnMs / 8) / this.msPerUnit);
+    this.planned = Math.min(Math.max(units, 1), SLICE_MAX_UNITS);
+    this.remaining = this.planned;
+    return yielding;
+  }
+
+  // Yield count and slice lengths so far; the slice in progress counts as
+  // the last one
+  summary() {
+    const slices = [...this.slices, performance.now() - this.sliceStart].sort((a, b) => a - b);
+    const at = q => Math.round(slices[Math.min(slices.length - 1, Math.floor(q * slices.length))] * 100) / 100;
+    return {
+      budgetMs: this.budgetMs,
+      yields: this.slices.length,
+      clockReads: this.clockReads,
+      sliceP50Ms: at(0.5),
+      sliceP90Ms: at(0.9),
+      sliceP99Ms: at(0.99),
+      sliceMaxMs: at(1)
+    };
+  }
+}
+
+// A task's first slice under a CooperativeScheduler; each later one is as
+// long as the task has run so far, up to its yieldEveryMs
+const FIRST_TURN_MS = 1;
+
+// Runs many serializations under shared rules: at most `concurrency` at a
+// time, and one slice per event-loop turn among the running ones. Each
+// turn goes to the task with the least run time relative to its weight of
+// 2 ** priority, so a priority 1 task gets twice the share of a priority 0
+// one. Run time only counts time spent running, never time spent queued,
+// so a new task is ahead of every task that has run, and its first slices
+// are short: a small serialization is done within a few turns instead of
+// waiting behind large ones. Slots go the same way: a running task gives
+// its slot up at its next yield to a waiting one that has had less than
+// half its weighted run time, and queues again. A steady stream of new
+// tasks can therefore hold long ones back, as in any scheduler that
+// favours the least served. Pass it to stringifyAsync as `scheduler`
+class CooperativeScheduler {
+  constructor({ concurrency = 4 } = {}) {
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new RangeError('concurrency must be a positive integer');
+    }
+    this.concurrency = concurrency;
+    this.running = new Set();
+    this.waiting = [];
+    this.ready = [];
+    this.dispatchScheduled = false;
+  }
+
+  // Resolves with a task handle at the task's first turn, or rejects with
+  // the signal's reason if it aborts before that
+  acquire({ priority = 0, signal } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const task = {
+        priority, weight: 2 ** priority, runtime: 0, ranMs: 0, started: false,
+        resume: () => resolve(task), detach: () => {}
+      };
+      if (signal) {
+        // Parked tasks are woken so they notice the abort themselves
+        const onAbort = () => {
+          if (this.remove(this.waiting, task)) {
+            if (task.started) task.resume();
+            else reject(signal.reason);
+          } else if (this.remove(this.ready, task)) {
+            task.resume();
+          }
+        };
+        signal.addEventListener('abort', onAbort);
+        task.detach = () => signal.removeEventListener('abort', onAbort);
+      }
+
+      this.enqueue(task);
+      this.admit();
+    });
+  }
+
+  // Frees the task's slot for the next waiting task
+  release(task) {
+    task.detach();
+    this.remove(this.ready, task);
+    this.remove(this.waiting, task);
+    this.running.delete(task);
+    this.admit();
+  }
+
+  // Budget in ms for the task's next slice
+  turnMs(task) {
+    return Math.max(FIRST_TURN_MS, task.ranMs);
+  }
+
+  // Ends the task's slice of `sliceMs`; resolves at its next turn, to the
+  // budget for that turn. A slice counts for at most its budget, so a GC
+  // pause that lands in a short one doesn't send the task to the back
+  yield(task, sliceMs) {
+    const counted = Math.min(sliceMs, this.turnMs(task));
+    task.runtime += counted / task.weight;
+    task.ranMs += counted;
+    return new Promise(resolve => {
+      task.resume = () => resolve(this.turnMs(task));
+      const next = this.waiting[0];
+      if (next && next.runtime * 2 <= task.runtime) {
+        this.running.delete(task);
+        this.enqueue(task);
+        this.admit();
+      } else {
+        this.ready.push(task);
+        this.scheduleDispatch();
+      }
+    });
+  }
+
+  // Waiting tasks go by least weighted run time, then higher priority, then
+  // order of arrival
+  enqueue(task) {
+    const index = this.waiting.findIndex(other =>
+      other.runtime > task.runtime || (other.runtime === task.runtime && other.priority < task.priority));
+    this.waiting.splice(index === -1 ? this.waiting.length : index, 0, task);
+  }
+
+  admit() {
+    while (this.running.size < this.concurrency && this.waiting.length > 0) {
+      const task = this.waiting.shift();
+      task.started = true;
+      this.running.add(task);
+      this.ready.push(task);
+      this.scheduleDispatch();
+    }
+  }
+
+  remove(queue, task) {
+    const index = queue.indexOf(task);
+    if (index === -1) return false;
+    queue.splice(index, 1);
+    return true;
+  }
+
+  scheduleDispatch() {
+    if (this.dispatchScheduled) return;
+    this.dispatchScheduled = true;
+    setImmediate(() => {
+      this.dispatchScheduled = false;
+      if (this.ready.length === 0) return;
+      let next = this.ready[0];
+      for (const task of this.ready) {
+        if (task.runtime < next.runtime) next = task;
+      }
+      this.remove(this.ready, next);
+      next.resume();
+      if (this.ready.length > 0) this.scheduleDispatch();
+    });
+  }
+}
+
+// ============================================================================
+// Non-blocking Stringify
+// ============================================================================
+
+const STRATEGIES = ['fast-path', 'walk', 'worker'];
+
+// Options the worker strategy has no way to honour: native JSON.stringify
+// runs in one call on another thread. They are rejected rather than ignored,
+// like the streaming ones (see STREAM_UNSUPPORTED)
+const WORKER_UNSUPPORTED = [
+  'yieldEveryMs', 'onCycle', 'fastPath', 'scheduler', 'priority', 'onSchedule', 'onProgress', 'prescan',
+  ...LIMITS, 'onLimit'
+];
+
+// Subtrees within all of these limits go to JSON.stringify in one call
+const FAST_PATH_DEFAULTS = { maxDepth: 2, maxArrayLength: 10, maxKeys: 20, maxStringLength: 1000 };
+
+// Strings longer than this are escaped in pieces of this size, with a
+// scheduler check after each
+const STRING_CHUNK_SIZE = 16 * 1024;
+
+// Whether JSON.stringify can take `obj` in one call within `limits`. Only
+// plain objects and arrays qualify: native would call toJSON on anything
+// else a second time. The depth cap keeps self-referencing arrays out
+function isSafeObject(obj, limits, depth = 0) {
+  if (typeof obj === 'string') return obj.length < limits.maxStringLength;
+  if (obj === null || typeof obj !== 'object') return true;
+  if (depth > limits.maxDepth) return false;
+  const proto = Object.getPrototypeOf(obj);
+  if (Array.isArray(obj)) {
+    return proto === Array.prototype && obj.length < limits.maxArrayLength &&
+      obj.every(item => isSafeObject(item, limits, depth + 1));
+  }
+  if (proto !== Object.prototype && proto !== null) return false;
+  const keys = Object.keys(obj);
+  if (keys.length > limits.maxKeys) return false;
+
+  return Object.values(obj).every(val => {
+    const type = typeof val;
+    return type === 'string' ? val.length < limits.maxStringLength :
+           type === 'number' || type === 'boolean' || val === null;
+  });
+}
+
+// Same output as JSON.stringify(value, replacer, space) without blocking
+// the event loop. Options:
+//   replacer, space   as for JSON.stringify
+//   strategy          'fast-path' (default): walk the value, but hand small
+//                     plain subtrees (within `fastPath`) to JSON.stringify;
+//                     'walk': visit every value; 'worker': JSON.stringify
+//                     in a worker thread (see stringifyInWorker)
+//   yieldEveryMs      time-slice budget (default 5)
+//   timeoutMs, signal reject with a timeout error or an AbortError
+//   onCycle           'throw' (default) like native, or see handleCycle
+//   fastPath          limits for the fast path, defaults FAST_PATH_DEFAULTS
+//   scheduler, priority  run under a shared CooperativeScheduler; the
+//                     timeout includes waiting for a slot
+//   onSchedule        receives the SliceScheduler summary after a success
+//   onProgress        called at every yield and once on completion with
+//                     { nodes, bytes, depth, fraction }: values visited,
+//                     UTF-8 bytes of output so far, current nesting depth,
+//                     and the estimated fraction done (null without prescan)
+//   prescan           count the nodes first so onProgress can estimate the
+//                     fraction; a walk without serializing, on the same budget
+//   maxBytes, maxDepth, maxArrayLength, maxStringLength, onLimit
+//                     output limits, checked as the walk goes (see Output
+//                     Limits); maxBytes counts UTF-8 bytes
+//   pool, onTimings   worker strategy only. It takes replacer, space,
+//                     timeoutMs and signal too, and throws a TypeError for
+//                     the rest (WORKER_UNSUPPORTED)
+async function stringifyAsync(value, options = {}) {
+  const { strategy = 'fast-path' } = options;
+  if (!STRATEGIES.includes(strategy)) {
+    throw new TypeError(`strategy must be one of ${STRATEGIES.join(', ')}`);
+  }
+  if (strategy === 'worker') {
+    const unsupported = WORKER_UNSUPPORTED.find(name => options[name] !== undefined);
+    if (unsupported) {
+      throw new TypeError(`${unsupported} is not supported by the worker strategy`);
+    }
+    return stringifyInWorker(value, options);
+  }
+  return stringifyWalk(value, options, fastPathLimits(options));
+}
+
+// Fast-path limits for the walk, or null for the 'walk' strategy
+function fastPathLimits({ strategy = 'fast-path', fastPath }) {
+  return strategy === 'fast-path' ? { ...FAST_PATH_DEFAULTS, ...fastPath } : null;
+}
+
+// The walk behind the 'fast-path' and 'walk' strategies. Yields once per
+// `yieldEveryMs` budget as planned by SliceScheduler, and only awaits the
+// scheduler when a clock read is due. `control` is the Serializer driving
+// it, if any, which can hold it before any value
+async function stringifyWalk(value, options, fastPath, control = null) {
+  const {
+    replacer, space, timeoutMs, yieldEveryMs = 5, onCycle = 'throw', signal,
+    onSchedule, scheduler, priority = 0, onProgress, prescan = false
+  } = options;
+  if (!CYCLE_POLICIES.includes(onCycle)) {
+    throw new TypeError(`onCycle must be one of ${CYCLE_POLICIES.join(', ')}`);
+  }
+  // Validated before the timer and the signal listener exist, so bad
+  // options leave nothing behind
+  const limits = normalizeLimits(options);
+
+  const controller = new SimpleAbortController();
+  const unlink = linkSignal(signal, controller);
+  const timeoutId = timeoutMs === undefined ? null : setTimeout(() => {
+    controller.abort(new Error(`Async timeout after ${timeoutMs}ms`));
+  }, timeoutMs);
+  const { replacerFn, propertyList, gap } = normalizeStringifyArgs(replacer, space);
+  const ancestors = [];
+  const path = [];
+
+  let task = null;
+  const slices = new SliceScheduler(yieldEveryMs, scheduler ? sliceMs => scheduler.yield(task, sliceMs) : undefined);
+
+  // The fast path may only take subtrees that are within the limits
+  const safe = fastPath && {
+    ...fastPath,
+    maxArrayLength: Math.min(fastPath.maxArrayLength, limits.maxArrayLength + 1),
+    maxStringLength: Math.min(fastPath.maxStringLength, limits.maxStringLength + 1)
+  };
+  const safeAt = level => limits.maxDepth === Infinity ? safe : { ...safe, maxDepth: Math.min(safe.maxDepth, limits.maxDepth - level) };
+
+  // UTF-8 bytes of output so far, counted as values are accepted, for
+  // onProgress and maxBytes. Once maxBytes is reached without the 'throw'
+  // policy, `full` stops every open container from taking more members
+  const countBytes = Boolean(onProgress) || limits.maxBytes !== Infinity;
+  let bytes = 0;
+  let full = false;
+
+  // Only kept up with onProgress. totalNodes is 0 until the prescan is done
+  const progress = onProgress ? { nodes: 0 } : null;
+  let totalNodes = 0;
+
+  function reportProgress(done) {
+    // The count misses what toJSON and replacers add, so it stops short of 1
+    // until the end
+    const fraction = done ? 1 : !prescan ? null : totalNodes > 0 ? Math.min(progress.nodes / totalNodes, 0.99) : 0;
+    onProgress({ nodes: progress.nodes, bytes, depth: ancestors.length, fraction });
+  }
+
+  // Applies the policy for a value at holder[key] past `limit`: throws, or
+  // returns 'truncate' or 'omit'
+  function limitReached(limit, key, describe) {
+    const policy = limits.policies[limit];
+    if (policy === 'throw') {
+      const at = jsonPointer(path.length === 0 ? [] : [...path.slice(1), key]);
+      throw new LimitExceededError(limit, limits[limit], `${describe()} at ${at} exceeds ${limit} (${limits[limit]})`);
+    }
+    return policy;
+  }
+
+  // Whether `size` more bytes fit in maxBytes; if not, the walk is full
+  function fits(size, key) {
+    if (bytes + size <= limits.maxBytes) return true;
+    limitReached('maxBytes', key, () => `Output of ${bytes + size} bytes`);
+    full = true;
+    return false;
+  }
+
+  // Takes a serialized value preceded by `overhead` bytes of separator and
+  // key, or returns OVER_BUDGET if they don't fit
+  function accept(text, overhead, key) {
+    if (!countBytes || text === undefined) return text;
+    const size = overhead + Buffer.byteLength(text);
+    if (!fits(size, key)) return OVER_BUDGET;
+    bytes += size;
+    return text;
+  }
+
+  // Markers go in whether they fit or not
+  function addMarker(text, overhead) {
+    if (countBytes) bytes += overhead + Buffer.byteLength(text);
+    return text;
+  }
+
+  // Holds the walk while its Serializer is paused. Progress is reported
+  // first, so the Serializer shows where it stopped
+  async function suspendIfPaused() {
+    if (progress) reportProgress(false);
+    await control.suspend();
+    slices.restart();
+    controller.signal.throwIfAborted();
+  }
+
+  async function checkAndYield() {
+    if (await slices.check() && progress) reportProgress(false);
+    controller.signal.throwIfAborted();
+    if (control && control.pauseRequested()) await suspendIfPaused();
+  }
+
+  // The number of values the walk will visit, counted on the raw value:
+  // toJSON and replacer results are only known once the walk gets there
+  async function countNodes(root) {
+    const exit = {};
+    const stack = [root];
+    const open = [];
+    let count = 0;
+    while (stack.length > 0) {
+      const value = stack.pop();
+      if (value === exit) {
+        open.pop();
+        continue;
+      }
+      count++;
+      if (slices.spend(1)) {
+        await slices.check();
+        controller.signal.throwIfAborted();
+      }
+      if (control && control.pauseRequested()) await suspendIfPaused();
+      if (value === null || typeof value !== 'object' || open.includes(value)) continue;
+      if (safe && !replacerFn && isSafeObject(value, safe)) continue;
+
+      open.push(value);
+      stack.push(exit);
+      if (Array.isArray(value)) {
+        for (let i = value.length - 1; i >= 0; i--) stack.push(value[i]);
+      } else {
+        for (const k of propertyList || Object.keys(value)) stack.push(value[k]);
+      }
+    }
+    return count;
+  }
+
+  // Serializes holder[key], which `overhead` bytes of separator and key
+  // will precede. Returns undefined when the member must be skipped, like
+  // native, or OVER_BUDGET when it doesn't fit in maxBytes
+  async function stringify(holder, key, indent, overhead) {
+    if (slices.spend(1)) {
+      await checkAndYield();
+    } else {
+      controller.signal.throwIfAborted();
+      if (control && control.pauseRequested()) await suspendIfPaused();
+    }
+    if (progress) progress.nodes++;
+
+    const value = resolveValue(holder, key, replacerFn);
+    if (value === null) return accept('null', overhead, key);
+
+    const type = typeof value;
+
+    if (type !== 'object') {
+      if (type !== 'string') return accept(stringifyPrimitive(value), overhead, key);
+
+      let str = value;
+      if (str.length > limits.maxStringLength) {
+        if (limitReached('maxStringLength', key, () => `String of ${str.length} characters`) === 'omit') return undefined;
+        const kept = truncateString(str, limits.maxStringLength);
+        str = `${kept}...[truncated ${str.length - kept.length} characters]`;
+      }
+      if (str.length <= STRING_CHUNK_SIZE) {
+        slices.spend(str.length / STRING_CHARS_PER_UNIT);
+        return accept(stringifyPrimitive(str), overhead, key);
+      }
+
+      let result = '"';
+      let size = overhead + 2;
+      for (let i = 0; i < str.length;) {
+        const end = chunkEnd(str, i, STRING_CHUNK_SIZE);
+        // JSON.stringify on each piece, removing the quotes it adds
+        const piece = JSON.stringify(str.slice(i, end)).slice(1, -1);
+        if (countBytes) {
+          size += Buffer.byteLength(piece);
+          if (!fits(size, key)) return OVER_BUDGET;
+        }
+        result += piece;
+        if (slices.spend((end - i) / STRING_CHARS_PER_UNIT)) {
+          await checkAndYield();
+        }
+        i = end;
+      }
+      if (countBytes) bytes += size;
+      return result + '"';
+    }
+
+    const cycleIndex = ancestors.indexOf(value);
+    if (cycleIndex !== -1) {
+      return accept(handleCycle(onCycle, ancestors, path, cycleIndex, key), overhead, key);
+    }
+
+    const isArray = Array.isArray(value);
+    const level = ancestors.length + 1;
+    if (level > limits.maxDepth) {
+      if (limitReached('maxDepth', key, () => `${isArray ? 'Array' : 'Object'} nested ${level} levels deep`) === 'omit') return undefined;
+      return accept(isArray ? '"[Array]"' : '"[Object]"', overhead, key);
+    }
+    if (isArray && value.length > limits.maxArrayLength) {
+      if (limitReached('maxArrayLength', key, () => `Array of ${value.length} items`) === 'omit') return undefined;
+    }
+
+    // A replacer function needs the real holders, so it always walks
+    if (safe && !replacerFn && isSafeObject(value, safeAt(level))) {
+      const result = JSON.stringify(value, propertyList, gap);
+      slices.spend(result.length / STRING_CHARS_PER_UNIT);
+      const text = indent ? result.replace(/\n/g, '\n' + indent) : result;
+      // One that doesn't fit in maxBytes is walked instead, so the output
+      // keeps what does fit whatever the strategy
+      if (!countBytes || bytes + overhead + Buffer.byteLength(text) <= limits.maxBytes) {
+        return accept(text, overhead, key);
+      }
+    }
+
+    // Room for the brackets at least; the opening one is counted now
+    if (countBytes) {
+      if (!fits(overhead + 2, key)) return OVER_BUDGET;
+      bytes += overhead + 1;
+    }
+    const inner = indent + gap;
+    // Newline and indentation before each member
+    const memberIndent = gap && countBytes ? 1 + Buffer.byteLength(inner) : 0;
+    const parts = [];
+    ancestors.push(value);
+    path.push(key);
+
+    if (isArray) {
+      const length = Math.min(value.length, limits.maxArrayLength);
+      for (let i = 0; i < length && !full; i++) {
+        const separator = (i > 0 ? 1 : 0) + memberIndent;
+        let part = await stringify(value, String(i), inner, separator);
+        if (part === undefined) part = accept('null', separator, String(i));
+        if (part === OVER_BUDGET) {
+          if (limits.policies.maxBytes === 'truncate') parts.push(addMarker(TRUNCATED, separator));
+          break;
+        }
+        parts.push(part);
+      }
+      if (length < value.length && !full) {
+        const separator = (length > 0 ? 1 : 0) + memberIndent;
+        const part = accept(`"[... ${value.length - length} more items]"`, separator, String(length));
+        if (part !== OVER_BUDGET) parts.push(part);
+      }
+    } else {
+      for (const k of propertyList || Object.keys(value)) {
+        if (full) break;
+        const keyText = JSON.stringify(k) + (gap ? ': ' : ':');
+        const separator = (parts.length > 0 ? 1 : 0) + memberIndent + (countBytes ? Buffer.byteLength(keyText) : 0);
+        const part = await stringify(value, k, inner, separator);
+        if (part === OVER_BUDGET) {
+          if (limits.policies.maxBytes === 'truncate') {
+            const marker = '"...":' + (gap ? ' ' : '') + TRUNCATED;
+            parts.push(addMarker(marker, separator - (countBytes ? Buffer.byteLength(keyText) : 0)));
+          }
+          break;
+        }
+        if (part !== undefined) parts.push(keyText + part);
+      }
+    }
+
+    ancestors.pop();
+    path.pop();
+    if (countBytes) bytes += 1 + (gap && parts.length > 0 ? 1 + Buffer.byteLength(indent) : 0);
+    return isArray ? joinParts('[', parts, ']', gap, indent) : joinParts('{', parts, '}', gap, indent);
+  }
+
+  try {
+    controller.signal.throwIfAborted();
+    if (scheduler) {
+      task = await scheduler.acquire({ priority, signal: controller.signal });
+      slices.restart(scheduler.turnMs(task));
+      controller.signal.throwIfAborted();
+    }
+    if (progress && prescan) totalNodes = await countNodes(value);
+    let result = await stringify({ '': value }, '', '', 0);
+    if (result === OVER_BUDGET) {
+      result = limits.policies.maxBytes === 'truncate' ? addMarker(TRUNCATED, 0) : undefined;
+    }
+    if (progress) reportProgress(true);
+    if (onSchedule) onSchedule(slices.summary());
+    return result;
+  } finally {
+    clearTimeout(timeoutId);
+    unlink();
+    if (task) scheduler.release(task);
+  }
+}
+
+// ============================================================================
+// Pausable Serialization
+// ============================================================================
+
+// A stringifyAsync run that can be paused and resumed instead of only
+// timed out. Takes stringifyAsync's options except the worker strategy;
+// progress is always tracked (see `progress`), and `prescan` gives it a
+// fraction. Pausing takes effect before the next value the walk visits;
+// as other code mostly runs while the walk yields, that is usually right
+// after the yield. A paused run keeps its scheduler slot, and timeoutMs
+// counts paused time
+class Serializer {
+  constructor(value, options = {}) {
+    const { strategy = 'fast-path' } = options;
+    if (strategy !== 'fast-path' && strategy !== 'walk') {
+      throw new TypeError('A Serializer runs the fast-path or walk strategy');
+    }
+    this.value = value;
+    this.options = options;
+    // idle, running, paused, done, failed or aborted
+    this.state = 'idle';
+    // The last onProgress report: output produced so far
+    this.progress = { nodes: 0, bytes: 0, depth: 0, fraction: options.prescan ? 0 : null };
+    this.result = null;
+    this.controller = new SimpleAbortController();
+    this.paused = null;     // resolves pause() once the walk is held
+    this.gate = null;       // holds the walk until resume()
+    this.resumed = null;    // resolves resume() once the walk runs again
+  }
+
+  // Starts serializing; resolves like stringifyAsync
+  start() {
+    if (this.state !== 'idle') throw new Error(`Cannot start a serializer that is ${this.state}`);
+    this.state = 'running';
+    const { signal, onProgress } = this.options;
+    const unlink = linkSignal(signal, this.controller);
+    const options = {
+      ...this.options,
+      signal: this.controller.signal,
+      onProgress: report => {
+        this.progress = report;
+        if (onProgress) onProgress(report);
+      }
+    };
+
+    this.result = stringifyWalk(this.value, options, fastPathLimits(this.options), this).then(result => {
+      this.state = 'done';
+      return result;
+    }, error => {
+      this.state = error.name === 'AbortError' ? 'aborted' : 'failed';
+      throw error;
+    }).finally(() => {
+      unlink();
+      // A pause that never got to take effect
+      if (this.paused) this.paused.resolve();
+      this.paused = null;
+    });
+    return this.result;
+  }
+
+  // Resolves once the walk is held, or has finished
+  pause() {
+    if (this.state !== 'running') return Promise.resolve();
+    if (!this.paused) this.paused = deferred();
+    return this.paused.promise;
+  }
+
+  // Resolves once the walk is running again
+  resume() {
+    if (this.paused) {
+      // Paused before the walk got there: just withdraw the request
+      this.paused.resolve();
+      this.paused = null;
+      return Promise.resolve();
+    }
+    if (this.state !== 'paused') return Promise.resolve();
+    this.state = 'running';
+    this.resumed = deferred();
+    this.gate.resolve();
+    return this.resumed.promise;
+  }
+
+  // Stops for good; the result rejects with an AbortError carrying `reason`
+  abort(reason) {
+    this.controller.abort(reason);
+    if (this.state === 'paused') this.resume();
+  }
+
+  // For stringifyWalk
+  pauseRequested() {
+    return this.paused !== null;
+  }
+
+  async suspend() {
+    this.state = 'paused';
+    this.gate = deferred();
+    this.paused.resolve();
+    this.paused = null;
+    await this.gate.promise;
+    this.gate = null;
+    this.resumed.resolve();
+    this.resumed = null;
+  }
+}
+
+function deferred() {
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  return { promise, resolve };
+}
+
+// ============================================================================
+// Non-blocking Parse
+// ============================================================================
+
+// The JSON.parse counterpart of stringifyAsync: same output as
+// JSON.parse(text, reviver), built by a scanner that yields on the same
+// time budget
+async function parseAsync(text, { reviver, timeoutMs, yieldEveryMs = 5, signal } = {}) {
+  const controller = new SimpleAbortController();
+  const unlink = linkSignal(signal, controller);
+  const timeoutId = timeoutMs === undefined ? null : setTimeout(() => {
+    controller.abort(new Error(`Async parse timeout after ${timeoutMs}ms`));
+  }, timeoutMs);
+
+  const source = String(text);
+  const length = source.length;
+  const NUMBER = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+  let pos = 0;
+
+  // Same time-slice budget as stringifyAsync, but only awaited every
+  // CHECK_INTERVAL values so the scanner stays synchronous in between
+  let lastYield = process.hrtime();
+  let callCount = 0;
+  const CHECK_INTERVAL = 100;
+
+  async function checkAndYield() {
+    const diff = process.hrtime(lastYield);
+    const elapsedMs = diff[0] * 1000 + diff[1] / 1e6;
+
+    if (elapsedMs > yieldEveryMs) {
+      await new Promise(r => setImmediate(r));
+      lastYield = process.hrtime();
+    }
+
+    controller.signal.throwIfAborted();
+  }
+
+  function unexpected() {
+    if (pos >= length) {
+      return new SyntaxError('Unexpected end of JSON input');
+    }
+    return new SyntaxError(`Unexpected token ${source[pos]} in JSON at position ${pos}`);
+  }
+
+  // JSON.parse creates "__proto__" as an own property instead of invoking the setter
+  function setProperty(target, key, value) {
+    if (key === '__proto__') {
+      Object.defineProperty(target, key, { value, writable: true, enumerable: true, configurable: true });
+    } else {
+      target[key] = value;
+    }
+  }
+
+  function skipWhitespace() {
+    let c;
+    while (pos < length && ((c = source.charCodeAt(pos)) === 0x20 || c === 0x0a || c === 0x0d || c === 0x09)) {
+      pos++;
+    }
+  }
+
+  function parseString() {
+    pos++; // Opening quote
+    let result = '';
+    let chunkStart = pos;
+
+    while (pos < length) {
+      const c = source.charCodeAt(pos);
+
+      if (c === 0x22) {
+        result += source.slice(chunkStart, pos++);
+        return result;
+      }
+
+      if (c === 0x5c) {
+        result += source.slice(chunkStart, pos++);
+        switch (source[pos]) {
+          case '"': result += '"'; break;
+          case '\\': result += '\\'; break;
+          case '/': result += '/'; break;
+          case 'b': result += '\b'; break;
+          case 'f': result += '\f'; break;
+          case 'n': result += '\n'; break;
+          case 'r': result += '\r'; break;
+          case 't': result += '\t'; break;
+          case 'u': {
+            let code = 0;
+            for (let i = 0; i < 4; i++) {
+              pos++;
+              const digit = parseInt(source[pos], 16);
+              if (Number.isNaN(digit)) throw unexpected();
+              code = code * 16 + digit;
+            }
+            result += String.fromCharCode(code);
+            break;
+          }
+          default:
+            throw unexpected();
+        }
+        chunkStart = ++pos;
+        continue;
+      }
+
+      // Unescaped control characters are not allowed inside strings
+      if (c < 0x20) throw unexpected();
+      pos++;
+    }
+
+    throw unexpected();
+  }
+
+  function parseKey() {
+    if (source.charCodeAt(pos) !== 0x22) throw unexpected();
+    const key = parseString();
+    skipWhitespace();
+    if (source.charCodeAt(pos) !== 0x3a) throw unexpected();
+    pos++;
+    return key;
+  }
+
+  function parsePrimitive() {
+    const c = source[pos];
+
+    if (c === '"') return parseString();
+    if (c === 't' && source.startsWith('true', pos)) { pos += 4; return true; }
+    if (c === 'f' && source.startsWith('false', pos)) { pos += 5; return false; }
+    if (c === 'n' && source.startsWith('null', pos)) { pos += 4; return null; }
+
+    NUMBER.lastIndex = pos;
+    const match = NUMBER.exec(source);
+    if (match === null) throw unexpected();
+    pos += match[0].length;
+    return Number(match[0]);
+  }
+
+  // Iterative parser with an explicit container stack, so deep nesting
+  // never grows the call stack and yielding doesn't need async recursion
+  async function parse() {
+    const stack = [];
+    let value;
+
+    for (;;) {
+      if (++callCount % CHECK_INTERVAL === 0) {
+        await checkAndYield();
+      }
+
+      skipWhitespace();
+      const c = source.charCodeAt(pos);
+
+      if (c === 0x7b) { // {
+        pos++;
+        skipWhitespace();
+        if (source.charCodeAt(pos) === 0x7d) {
+          pos++;
+          value = {};
+        } else {
+          stack.push({ container: {}, isArray: false, key: parseKey() });
+          continue;
+        }
+      } else if (c === 0x5b) { // [
+        pos++;
+        skipWhitespace();
+        if (source.charCodeAt(pos) === 0x5d) {
+          pos++;
+          value = [];
+        } else {
+          stack.push({ container: [], isArray: true, key: null });
+          continue;
+        }
+      } else {
+        value = parsePrimitive();
+      }
+
+      // Attach the value to its parent, closing every container that ends here
+      for (;;) {
+        if (stack.length === 0) {
+          skipWhitespace();
+          if (pos < length) throw unexpected();
+          return value;
+        }
+
+        const frame = stack[stack.length - 1];
+        if (frame.isArray) {
+          frame.container.push(value);
+        } else {
+          setProperty(frame.container, frame.key, value);
+        }
+
+        skipWhitespace();
+        const next = source.charCodeAt(pos);
+
+        if (next === 0x2c) { // ,
+          pos++;
+          if (!frame.isArray) {
+            skipWhitespace();
+            frame.key = parseKey();
+          }
+          break;
+        }
+
+        if (next === (frame.isArray ? 0x5d : 0x7d)) {
+          pos++;
+          stack.pop();
+          value = frame.container;
+          continue;
+        }
+
+        throw unexpected();
+      }
+    }
+  }
+
+  // Reviver walk in the same order as JSON.parse (post-order, keys snapshotted)
+  async function internalize(holder, key) {
+    if (++callCount % CHECK_INTERVAL === 0) {
+      await checkAndYield();
+    }
+
+    const value = holder[key];
+
+    if (value !== null && typeof value === 'object') {
+      const keys = Array.isArray(value)
+        ? Array.from({ length: value.length }, (_, i) => String(i))
+        : Object.keys(value);
+
+      for (const k of keys) {
+        const revived = await internalize(value, k);
+        if (revived === undefined) {
+          delete value[k];
+        } else {
+          setProperty(value, k, revived);
+        }
+      }
+    }
+
+    return reviver.call(holder, key, value);
+  }
+
+  try {
+    controller.signal.throwIfAborted();
+    let result = await parse();
+    if (typeof reviver === 'function') {
+      result = await internalize({ '': result }, '');
+    }
+    clearTimeout(timeoutId);
+    unlink();
+    return result;
+  } catch (error) {
+    clearTimeout(timeoutId);
+    unlink();
+    throw error;
+  }
+}
+
+// ============================================================================
+// Streaming Implementation
+// ============================================================================
+
+// stringifyAsync options the streaming walk does not implement. They are
+// rejected rather than ignored, so a maxBytes can't silently go unenforced
+const STREAM_UNSUPPORTED = [
+  'strategy', 'scheduler', 'priority', 'onSchedule', 'onProgress', 'prescan', ...LIMITS, 'onLimit', 'pool', 'onTimings'
+];
+
+function checkStreamOptions(options) {
+  const unsupported = STREAM_UNSUPPORTED.find(name => options[name] !== undefined);
+  if (unsupported) {
+    throw new TypeError(`${unsupported} is not supported by stringifyStream and pipeStringify`);
+  }
+}
+
+// Same walk and fast path as stringifyAsync, but output goes to `sink` in
+// chunks of about `chunkSize` characters instead of being joined in memory.
+// The sink is awaited, which is where backpressure from the consumer comes in
+async function writeStringify(value, options, sink) {
+  const {
+    replacer, space, timeoutMs, yieldEveryMs = 5, onCycle = 'throw', chunkSize = 64 * 1024, asBuffer = false, signal
+  } = options;
+  const fastPath = { ...FAST_PATH_DEFAULTS, ...options.fastPath };
+  if (!CYCLE_POLICIES.includes(onCycle)) {
+    throw new TypeError(`onCycle must be one of ${CYCLE_POLICIES.join(', ')}`);
+  }
+
+  // A stalled consumer must not hold off the timeout or the caller's signal,
+  // so handing a chunk to the sink is raced against them too
+  const controller = new SimpleAbortController();
+  const aborted = new Promise((_, reject) => {
+    controller.signal.addEventListener('abort', () => reject(controller.signal.reason));
+  });
+  aborted.catch(() => {});
+  const unlink = linkSignal(signal, controller);
+  const timeoutId = timeoutMs === undefined ? null : setTimeout(() => {
+    controller.abort(new Error(`Async stream timeout after ${timeoutMs}ms`));
+  }, timeoutMs);
+  const { replacerFn, propertyList, gap } = normalizeStringifyArgs(replacer, space);
+  const ancestors = [];
+  const path = [];
+
+  let pending = [];
+  let pendingLength = 0;
+
+  let lastYield = process.hrtime();
+  let callCount = 0;
+  const CHECK_INTERVAL = 100;
+
+  async function checkAndYield() {
+    callCount++;
+
+    if (callCount % CHECK_INTERVAL === 0) {
+      const diff = process.hrtime(lastYield);
+      const elapsedMs = diff[0] * 1000 + diff[1] / 1e6;
+
+      if (elapsedMs > yieldEveryMs) {
+        await new Promise(r => setImmediate(r));
+        lastYield = process.hrtime();
+      }
+    }
+
+    controller.signal.throwIfAborted();
+  }
+
+  function write(str) {
+    pending.push(str);
+    pendingLength += str.length;
+  }
+
+  async function flush() {
+    const chunk = pending.join('');
+    pending = [];
+    pendingLength = 0;
+    await Promise.race([sink(asBuffer ? Buffer.from(chunk) : chunk), aborted]);
+  }
+
+  async function flushIfFull() {
+    if (pendingLength >= chunkSize) {
+      await flush();
+    }
+  }
+
+  function isOmitted(value) {
+    const type = typeof value;
+    return type === 'undefined' || type === 'function' || type === 'symbol';
+  }
+
+  // Writes an already resolved, non-omitted value reached through `key`
+  async function writeValue(value, key, indent) {
+    await checkAndYield();
+
+    if (value === null) {
+      write('null');
+      return;
+    }
+
+    if (typeof value !== 'object') {
+      if (typeof value === 'string' && value.length > chunkSize) {
+        write('"');
+        for (let i = 0; i < value.length;) {
+          const end = chunkEnd(value, i, chunkSize);
+          write(JSON.stringify(value.slice(i, end)).slice(1, -1));
+          i = end;
+          await flushIfFull();
+          await checkAndYield();
+        }
+        write('"');
+        return;
+      }
+      write(stringifyPrimitive(value));
+      return;
+    }
+
+    const cycleIndex = ancestors.indexOf(value);
+    if (cycleIndex !== -1) {
+      write(handleCycle(onCycle, ancestors, path, cycleIndex, key));
+      return;
+    }
+
+    if (!replacerFn && isSafeObject(value, fastPath)) {
+      const result = JSON.stringify(value, propertyList, gap);
+      write(indent ? result.replace(/\n/g, '\n' + indent) : result);
+      return;
+    }
+
+    const inner = indent + gap;
+    const newline = gap ? '\n' + inner : '';
+    ancestors.push(value);
+    path.push(key);
+
+    if (Array.isArray(value)) {
+      const length = value.length;
+      write('[');
+      for (let i = 0; i < length; i++) {
+        write(i === 0 ? newline : ',' + newline);
+        const item = resolveValue(value, String(i), replacerFn);
+        if (isOmitted(item)) {
+          write('null');
+        } else {
+          await writeValue(item, String(i), inner);
+        }
+        await flushIfFull();
+      }
+      write(length > 0 && gap ? '\n' + indent + ']' : ']');
+    } else {
+      let first = true;
+      write('{');
+      for (const k of propertyList || Object.keys(value)) {
+        const member = resolveValue(value, k, replacerFn);
+        if (isOmitted(member)) continue;
+
+        write((first ? newline : ',' + newline) + JSON.stringify(k) + (gap ? ': ' : ':'));
+        first = false;
+        await writeValue(member, k, inner);
+        await flushIfFull();
+      }
+      write(!first && gap ? '\n' + indent + '}' : '}');
+    }
+
+    ancestors.pop();
+    path.pop();
+  }
+
+  try {
+    controller.signal.throwIfAborted();
+    const root = resolveValue({ '': value }, '', replacerFn);
+    if (!isOmitted(root)) {
+      await writeValue(root, '', '');
+      if (pendingLength > 0) {
+        await flush();
+      }
+    }
+    clearTimeout(timeoutId);
+    unlink();
+  } catch (error) {
+    clearTimeout(timeoutId);
+    unlink();
+    throw error;
+  }
+}
+
+// Readable stream of the serialized value: consume it with `for await` or
+// pipe it anywhere. Serialization starts on the first read and pauses
+// whenever the consumer stops reading. Takes stringifyAsync's options
+// except those in STREAM_UNSUPPORTED, which throw a TypeError, plus
+// `chunkSize` and `asBuffer`
+function stringifyStream(value, options = {}) {
+  checkStreamOptions(options);
+  const { chunkSize = 64 * 1024, asBuffer = false } = options;
+  let started = false;
+  let resume = null;
+
+  const readable = new Readable({
+    highWaterMark: chunkSize,
+    encoding: asBuffer ? undefined : 'utf8',
+    read() {
+      if (!started) {
+        started = true;
+        writeStringify(value, options, async chunk => {
+          if (readable.destroyed) {
+            throw new Error('Stream destroyed before serialization finished');
+          }
+          if (!readable.push(chunk)) {
+            await new Promise(r => { resume = r; });
+          }
+        }).then(() => readable.push(null), error => readable.destroy(error));
+      } else if (resume) {
+        const r = resume;
+        resume = null;
+        r();
+      }
+    },
+    destroy(error, callback) {
+      // Let a producer waiting on backpressure notice and stop
+      if (resume) {
+        const r = resume;
+        resume = null;
+        r();
+      }
+      callback(error);
+    }
+  });
+
+  return readable;
+}
+
+// Serialize straight into a Writable, waiting for 'drain' whenever it is
+// full. Resolves once the destination has finished. Options as for
+// stringifyStream
+async function pipeStringify(value, writable, options = {}) {
+  checkStreamOptions(options);
+  await writeStringify(value, options, async chunk => {
+    if (writable.destroyed) {
+      throw new Error('Destination stream destroyed before serialization finished');
+    }
+    if (!writable.write(chunk)) {
+      await waitForDrain(writable);
+    }
+  });
+
+  writable.end();
+  await finished(writable, { readable: false });
+}
+
+function waitForDrain(writable) {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      writable.removeListener('drain', onDrain);
+      writable.removeListener('error', onError);
+      writable.removeListener('close', onClose);
+    };
+    const onDrain = () => { cleanup(); resolve(); };
+    const onError = error => { cleanup(); reject(error); };
+    const onClose = () => {
+      cleanup();
+      reject(new Error('Destination stream closed before serialization finished'));
+    };
+
+    writable.on('drain', onDrain);
+    writable.on('error', onError);
+    writable.on('close', onClose);
+  });
+}
+
+
+// ============================================================================
+// HTTP Response Helper
+// ============================================================================
+
+const gzipAsync = promisify(zlib.gzip);
+const brotliAsync = promisify(zlib.brotliCompress);
+
+// Brotli defaults to quality 11, which is meant for static assets and far
+// too slow per response; 4 compresses about as well as gzip, faster
+const BROTLI_RESPONSE_OPTIONS = { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 4 } };
+
+// Picks br or gzip from an Accept-Encoding header by q-value, br on a tie;
+// null when the client takes neither
+function negotiateEncoding(acceptEncoding = '') {
+  let best = null;
+  let bestQ = 0;
+  for (const part of acceptEncoding.split(',')) {
+    const [name, ...params] = part.trim().toLowerCase().split(';');
+    const qParam = params.find(param => param.trim().startsWith('q='));
+    const q = qParam ? Number(qParam.trim().slice(2)) : 1;
+    if ((name === 'br' || name === 'gzip') && q > bestQ) {
+      best = name;
+      bestQ = q;
+    } else if (name === 'br' && q === bestQ && q > 0) {
+      best = 'br';
+    }
+  }
+  return best;
+}
+
+// Serializes `value` into an http.ServerResponse without blocking the event
+// loop. Output up to `maxBuffer` bytes is sent in one piece with
+// Content-Length; anything larger switches to chunked encoding and streams
+// the rest with backpressure. Options:
+//   replacer, space, yieldEveryMs, chunkSize   as for stringifyStream
+//   timeoutMs      serialization budget
+//   onTimeout      'error' (default): `timeoutStatus` with a JSON error body,
+//                  or if the body has started, the connection is destroyed
+//                  so the client can tell. 'partial': whatever is ready is
+//                  sent and the response ended normally, with
+//                  `timeoutStatus` if the headers were not sent yet
+//   timeoutStatus  status for timed-out responses (default 503)
+//   compress       'gzip', 'br', 'auto' (negotiated from `req`'s
+//                  Accept-Encoding) or false (default)
+//   req            the request, for compress: 'auto'
+//   maxBuffer      bytes to buffer before switching to chunked (default 1MB)
+//   signal         aborts like a client disconnect
+// A client disconnect aborts serialization. Resolves with { outcome } of
+// 'sent', 'timeout' or 'aborted', plus statusCode, bytes (before
+// compression), encoding and chunked; rejects on serialization errors,
+// after a 500 if nothing had been sent
+async function sendJson(res, value, options = {}) {
+  const {
+    replacer, space, yieldEveryMs, chunkSize, timeoutMs, signal, req,
+    onTimeout = 'error', timeoutStatus = 503, compress = false, maxBuffer = 1024 * 1024
+  } = options;
+  if (!['error', 'partial'].includes(onTimeout)) {
+    throw new TypeError("onTimeout must be 'error' or 'partial'");
+  }
+  const encoding = compress === 'auto'
+    ? negotiateEncoding(req && req.headers['accept-encoding'])
+    : compress || null;
+  if (encoding !== null && encoding !== 'gzip' && encoding !== 'br') {
+    throw new TypeError("compress must be 'gzip', 'br', 'auto' or false");
+  }
+
+  const controller = new SimpleAbortController();
+  const unlink = linkSignal(signal, controller);
+  let timeoutError = null;
+  const timeoutId = timeoutMs === undefined ? null : setTimeout(() => {
+    timeoutError = new Error(`Response serialization timeout after ${timeoutMs}ms`);
+    controller.abort(timeoutError);
+  }, timeoutMs);
+  const onClose = () => {
+    if (!res.writableFinished) controller.abort(new AbortError('Client disconnected'));
+  };
+  res.on('close', onClose);
+
+  let buffered = [];
+  let bytes = 0;
+  let body = null;
+
+  const setHeaders = () => {
+    if (!res.hasHeader('Content-Type')) res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    if (encoding) {
+      res.setHeader('Content-Encoding', encoding);
+      res.setHeader('Vary', 'Accept-Encoding');
+    }
+  };
+
+  // Headers go out without a length; the compressor, if any, sits in front
+  const startChunked = () => {
+    setHeaders();
+    res.removeHeader('Content-Length');
+    if (encoding) {
+      body = encoding === 'br' ? zlib.createBrotliCompress(BROTLI_RESPONSE_OPTIONS) : zlib.createGzip();
+      body.pipe(res);
+    } else {
+      body = res;
+    }
+    for (const chunk of buffered) body.write(chunk);
+    buffered = null;
+  };
+
+  const sendBuffered = async (status, data) => {
+    res.statusCode = status;
+    setHeaders();
+    const payload = encoding === 'br'
+      ? await brotliAsync(data, BROTLI_RESPONSE_OPTIONS)
+      : encoding === 'gzip' ? await gzipAsync(data) : data;
+    res.setHeader('Content-Length', payload.length);
+    res.end(payload);
+  };
+
+  const result = outcome => ({ outcome, statusCode: res.statusCode, bytes, encoding, chunked: body !== null });
+
+  try {
+    await writeStringify(value, { replacer, space, yieldEveryMs, chunkSize, asBuffer: true, signal: controller.signal }, async chunk => {
+      bytes += chunk.length;
+      if (body === null) {
+        buffered.push(chunk);
+        if (bytes <= maxBuffer) return;
+        startChunked();
+      } else if (!body.write(chunk)) {
+        await waitForDrain(body);
+      }
+    });
+
+    if (body === null) {
+      await sendBuffered(res.statusCode, Buffer.concat(buffered));
+    } else {
+      body.end();
+    }
+    await finished(res);
+    return result('sent');
+  } catch (error) {
+    if (timeoutError) {
+      if (onTimeout === 'partial') {
+        if (body === null) {
+          await sendBuffered(timeoutStatus, Buffer.concat(buffered));
+        } else {
+          body.end();
+        }
+      } else if (body === null) {
+        res.setHeader('Retry-After', '1');
+        await sendBuffered(timeoutStatus, Buffer.from(JSON.stringify({ error: timeoutError.message })));
+      } else {
+        res.destroy();
+      }
+      return result('timeout');
+    }
+    if (controller.signal.aborted) {
+      res.destroy();
+      return result('aborted');
+    }
+    if (body === null && !res.headersSent) {
+      await sendBuffered(500, Buffer.from(JSON.stringify({ error: 'Serialization failed' })));
+    } else {
+      res.destroy(error);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+    unlink();
+    res.removeListener('close', onClose);
+  }
+}
+
+// ============================================================================
+// Worker Thread Implementation
+// ============================================================================
+
+// Runs inside each pool worker. Timestamps use process.hrtime.bigint(), which
+// is one monotonic clock for every thread in the process
+const WORKER_SOURCE = `
+const { parentPort } = require('worker_threads');
+
+parentPort.on('message', ({ value, replacer, space }) => {
+  const receivedAt = process.hrtime.bigint();
+  try {
+    const result = JSON.stringify(value, replacer, space);
+    const serializedAt = process.hrtime.bigint();
+    parentPort.postMessage({ result, receivedAt, serializedAt });
+  } catch (error) {
+    parentPort.postMessage({ error: { name: error.name, message: error.message } });
+  }
+});
+`;
+
+// Fixed-size pool of serializer workers. A worker that times out or is
+// aborted is terminated - that is the only way to stop it - and replaced
+// on demand, so a stuck serialization never holds a slot
+class WorkerPool {
+  constructor(size = Math.max(1, os.cpus().length - 1)) {
+    this.size = size;
+    this.workers = new Set();
+    this.idle = [];
+    this.waiting = [];
+  }
+
+  // Resolves to a worker once one is free. Aborting `signal` while waiting
+  // leaves the queue and rejects with signal.reason straight away
+  acquire(signal) {
+    if (signal && signal.aborted) {
+      return Promise.reject(signal.reason);
+    }
+    if (this.idle.length > 0) {
+      return Promise.resolve(this.idle.pop());
+    }
+    if (this.workers.size < this.size) {
+      const worker = new Worker(WORKER_SOURCE, { eval: true });
+      this.workers.add(worker);
+      return Promise.resolve(worker);
+    }
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        this.waiting.splice(this.waiting.indexOf(waiter), 1);
+        reject(signal.reason);
+      };
+      const waiter = worker => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve(worker);
+      };
+      if (signal) signal.addEventListener('abort', onAbort);
+      this.waiting.push(waiter);
+    });
+  }
+
+  release(worker) {
+    if (this.waiting.length > 0) {
+      this.waiting.shift()(worker);
+    } else {
+      // Idle workers must not keep the process alive
+      worker.unref();
+      this.idle.push(worker);
+    }
+  }
+
+  discard(worker) {
+    this.workers.delete(worker);
+    worker.terminate();
+    if (this.waiting.length > 0) {
+      const next = this.waiting.shift();
+      this.acquire().then(next);
+    }
+  }
+
+  destroy() {
+    for (const worker of this.workers) {
+      worker.terminate();
+    }
+    this.workers.clear();
+    this.idle = [];
+  }
+}
+
+let defaultWorkerPool = null;
+
+// Terminates the workers of the pool stringifyAsync uses when none is given
+function destroyDefaultWorkerPool() {
+  if (defaultWorkerPool) {
+    defaultWorkerPool.destroy();
+    defaultWorkerPool = null;
+  }
+}
+
+// The 'worker' strategy: JSON.stringify in a worker thread. The value is
+// structured-cloned on the way in, so prototypes, getters and toJSON methods
+// are gone by the time the worker sees it: output only matches native for
+// plain JSON data, and a replacer can only be an array (functions don't clone).
+// `onTimings` receives the clone/transfer cost split from serialization time
+async function stringifyInWorker(value, { replacer, space, timeoutMs, signal, pool, onTimings } = {}) {
+  if (typeof replacer === 'function') {
+    throw new TypeError('A replacer function cannot be sent to a worker thread');
+  }
+
+  if (!pool) {
+    defaultWorkerPool = defaultWorkerPool || new WorkerPool();
+    pool = defaultWorkerPool;
+  }
+
+  const controller = new SimpleAbortController();
+  const unlink = linkSignal(signal, controller);
+  const timeoutId = timeoutMs === undefined ? null : setTimeout(() => {
+    controller.abort(new Error(`Worker timeout after ${timeoutMs}ms`));
+  }, timeoutMs);
+
+  try {
+    // The timer is already running, so waiting for a busy pool counts
+    // against timeoutMs
+    const worker = await pool.acquire(controller.signal);
+    if (controller.signal.aborted) {
+      pool.release(worker);
+      throw controller.signal.reason;
+    }
+
+    return await new Promise((resolve, reject) => {
+      let postedAt;
+
+      const cleanup = () => {
+        worker.removeListener('message', onMessage);
+        worker.removeListener('error', onError);
+        worker.removeListener('exit', onExit);
+        controller.signal.removeEventListener('abort', onAbort);
+      };
+
+      const onMessage = message => {
+        const returnedAt = process.hrtime.bigint();
+        cleanup();
+        pool.release(worker);
+
+        if (message.error) {
+          const ErrorClass = message.error.name === 'TypeError' ? TypeError : Error;
+          reject(new ErrorClass(message.error.message));
+          return;
+        }
+
+        if (onTimings) {
+          const ms = (from, to) => Number(to - from) / 1e6;
+          onTimings({
+            cloneInMs: ms(startedAt, postedAt),
+            deliverMs: ms(postedAt, message.receivedAt),
+            serializeMs: ms(message.receivedAt, message.serializedAt),
+            returnMs: ms(message.serializedAt, returnedAt)
+          });
+        }
+        resolve(message.result);
+      };
+
+      const onError = error => {
+        cleanup();
+        pool.discard(worker);
+        reject(error);
+      };
+
+      const onExit = code => {
+        cleanup();
+        pool.discard(worker);
+        reject(new Error(`Worker exited with code ${code}`));
+      };
+
+      // Terminating is the only way to stop a worker that is mid-stringify
+      const onAbort = () => {
+        cleanup();
+        pool.discard(worker);
+        reject(controller.signal.reason);
+      };
+
+      worker.on('message', onMessage);
+      worker.on('error', onError);
+      worker.on('exit', onExit);
+      controller.signal.addEventListener('abort', onAbort);
+      worker.ref();
+
+      // postMessage clones `value` synchronously on this thread
+      const startedAt = process.hrtime.bigint();
+      try {
+        worker.postMessage({ value, replacer, space });
+      } catch (error) {
+        cleanup();
+        pool.release(worker);
+        reject(error);
+        return;
+      }
+      postedAt = process.hrtime.bigint();
+    });
+  } finally {
+    clearTimeout(timeoutId);
+    unlink();
+  }
+}
+
+module.exports = {
+  stringifyAsync,
+  parseAsync,
+  stringifyStream,
+  pipeStringify,
+  sendJson,
+  Serializer,
+  LimitExceededError,
+  CooperativeScheduler,
+  WorkerPool,
+  destroyDefaultWorkerPool,
+  AbortError,
+  AbortController: AbortControllerImpl,
+  // For wrapping other serializers with the same cancellation behaviour
+  SimpleAbortController,
+  linkSignal,
+  FAST_PATH_DEFAULTS
+};
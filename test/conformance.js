@@ -0,0 +1,796 @@
+#!/usr/bin/env node
+
+/**
+ * Differential conformance tests: random values, including the edge cases
+ * JSON.stringify and JSON.parse are picky about, go through every approach
+ * and the library API, and the output must match native byte for byte.
+ * A failing value is shrunk to a minimal reproducer before it is reported.
+ * Output limits get random values and policies too, and whatever comes out
+ * must be valid JSON within them. Values may share subtrees; cycles, which
+ * native only throws on, are fixed cases with the output of each policy
+ */
+
+const util = require('util');
+const { Writable } = require('stream');
+const { registry, createRandom } = require('../benchmark');
+const {
+  stringifyAsync,
+  parseAsync,
+  stringifyStream,
+  pipeStringify,
+  Serializer,
+  LimitExceededError,
+  destroyDefaultWorkerPool
+} = require('../index');
+
+// ============================================================================
+// Value Generator
+// ============================================================================
+
+// What the generator may produce. Approaches with known gaps turn some off
+const ALL_FEATURES = [
+  'specialNumbers',   // -0, NaN, Infinity, -Infinity
+  'controlChars',     // U+0000-U+001F in strings and keys
+  'loneSurrogates',   // unpaired UTF-16 surrogates in strings and keys
+  'longStrings',      // strings long enough to be escaped in pieces
+  'holes',            // sparse arrays
+  'skipped',          // undefined, function and symbol members
+  'protoKeys',        // own "__proto__" keys
+  'toJSON',           // nested toJSON methods, Dates
+  'boxed',            // new Number / String / Boolean
+  'nullProto',        // Object.create(null)
+  'bigint',           // BigInt, which native rejects with a TypeError
+  'shared'            // one object or array in several places, which is not a cycle
+];
+
+const MAX_DEPTH = 4;
+
+// Holds the value a generated toJSON returns, so the shrinker can reach it.
+// Symbol keys are invisible to JSON.stringify
+const TO_JSON_INNER = Symbol('toJSON inner');
+
+const PLAIN_CHARS = 'abcxyz019 -_';
+const ESCAPED_CHARS = '"\\/\b\f\n\r\t  ';
+const UNICODE_CHARS = ['é', 'ß', '中', '文', '😀', '👍🏽', ' ', '﻿'];
+
+function makeToJSON(inner, useKey) {
+  const holder = useKey
+    ? { toJSON(key) { return [key, inner]; } }
+    : { toJSON() { return inner; } };
+  holder[TO_JSON_INNER] = inner;
+  return holder;
+}
+
+function generateString(random, has) {
+  if (has.longStrings && random.next() < 0.02) {
+    // Past the 16K piece size, with a surrogate pair likely to straddle a cut
+    return 'ab😀'.repeat(random.int(5000, 7000));
+  }
+  let text = '';
+  for (let i = random.int(0, 8); i > 0; i--) {
+    const roll = random.next();
+    if (roll < 0.5) {
+      text += random.pick(PLAIN_CHARS);
+    } else if (roll < 0.65) {
+      text += random.pick(ESCAPED_CHARS);
+    } else if (roll < 0.8) {
+      text += random.pick(UNICODE_CHARS);
+    } else if (roll < 0.9 && has.controlChars) {
+      text += String.fromCharCode(random.int(0, 0x1f));
+    } else if (has.loneSurrogates) {
+      text += String.fromCharCode(random.pick([0xd800, 0xdbff, 0xdc00, 0xdfff]));
+    }
+  }
+  return text;
+}
+
+function generateNumber(random, has) {
+  if (has.specialNumbers && random.next() < 0.2) {
+    return random.pick([-0, NaN, Infinity, -Infinity]);
+  }
+  return random.pick([
+    () => random.int(-1000, 1000),
+    () => (random.next() - 0.5) * 1e6,
+    () => random.pick([1e21, 1e-7, 5e-324, Number.MAX_SAFE_INTEGER, Number.MAX_VALUE, 0.1 + 0.2])
+  ])();
+}
+
+function generateLeaf(random, has) {
+  const kinds = ['null', 'boolean', 'number', 'number', 'string', 'string'];
+  if (has.skipped) kinds.push('undefined', 'function', 'symbol');
+  if (has.boxed) kinds.push('boxed');
+  if (has.toJSON) kinds.push('date');
+  if (has.bigint && random.next() < 0.05) kinds.push('bigint');
+
+  switch (random.pick(kinds)) {
+    case 'null': return null;
+    case 'boolean': return random.next() < 0.5;
+    case 'number': return generateNumber(random, has);
+    case 'string': return generateString(random, has);
+    case 'undefined': return undefined;
+    case 'function': return function member() {};
+    case 'symbol': return Symbol('member');
+    case 'boxed':
+      return random.pick([
+        () => new Number(generateNumber(random, has)),
+        () => new String(generateString(random, has)),
+        () => new Boolean(random.next() < 0.5)
+      ])();
+    case 'date': return new Date(Date.UTC(2024, 0, 1) + random.int(0, 1e9));
+    case 'bigint': return BigInt(random.int(0, 100));
+  }
+}
+
+function generateKey(random, has) {
+  const roll = random.next();
+  if (roll < 0.5) return random.word(1, 4);
+  if (roll < 0.65) return String(random.pick([0, 1, 2, 10, 4294967295]));
+  if (roll < 0.75 && has.protoKeys) return '__proto__';
+  if (roll < 0.8) return '';
+  return generateString(random, has);
+}
+
+// `done` collects the finished arrays and objects of this value. With
+// 'shared', one of them may be used again elsewhere: it is complete, so it
+// can't contain the place it goes, and the result stays free of cycles
+function generateValue(random, has, depth = 0, done = []) {
+  const roll = random.next();
+  if (depth >= MAX_DEPTH || roll < 0.45) return generateLeaf(random, has);
+  if (has.shared && done.length > 0 && random.next() < 0.2) return random.pick(done);
+
+  if (roll < 0.7) {
+    const length = random.int(0, 6);
+    const array = new Array(length);
+    for (let i = 0; i < length; i++) {
+      if (has.holes && random.next() < 0.25) continue;
+      array[i] = generateValue(random, has, depth + 1, done);
+    }
+    done.push(array);
+    return array;
+  }
+
+  if (has.toJSON && roll < 0.8) {
+    return makeToJSON(generateValue(random, has, depth + 1, done), random.next() < 0.3);
+  }
+
+  const object = has.nullProto && random.next() < 0.1 ? Object.create(null) : {};
+  for (let i = random.int(0, 5); i > 0; i--) {
+    // defineProperty so "__proto__" becomes an own key, as JSON.parse makes it
+    Object.defineProperty(object, generateKey(random, has), {
+      value: generateValue(random, has, depth + 1, done),
+      enumerable: true,
+      writable: true,
+      configurable: true
+    });
+  }
+  done.push(object);
+  return object;
+}
+
+// ============================================================================
+// Shrinking
+// ============================================================================
+
+// Copies `object` with the same prototype and own properties, minus `omit`
+// and with `replace` values swapped in
+function copyObject(object, omit, replace = {}) {
+  const copy = Object.create(Object.getPrototypeOf(object));
+  for (const key of Reflect.ownKeys(object)) {
+    if (key === omit) continue;
+    const descriptor = Object.getOwnPropertyDescriptor(object, key);
+    if (Object.prototype.hasOwnProperty.call(replace, key)) descriptor.value = replace[key];
+    Object.defineProperty(copy, key, descriptor);
+  }
+  return copy;
+}
+
+// Simpler values to try in place of `value`, simplest first
+function* shrinkCandidates(value) {
+  if (typeof value === 'string') {
+    if (value.length === 0) return;
+    yield '';
+    if (value.length > 1) {
+      yield value.slice(0, value.length >> 1);
+      yield value.slice(value.length >> 1);
+    }
+    if (value.length <= 16) {
+      for (let i = 0; i < value.length; i++) yield value.slice(0, i) + value.slice(i + 1);
+    }
+    return;
+  }
+  if (typeof value === 'number') {
+    if (!Object.is(value, 0)) yield 0;
+    return;
+  }
+  if (value === null || typeof value !== 'object') {
+    if (value !== null) yield null;
+    return;
+  }
+
+  if (Array.isArray(value)) {
+    for (let i = 0; i < value.length; i++) {
+      if (i in value) yield value[i];
+    }
+    for (let i = 0; i < value.length; i++) {
+      const copy = value.slice();
+      copy.splice(i, 1);
+      yield copy;
+    }
+    for (let i = 0; i < value.length; i++) {
+      if (!(i in value)) continue;
+      for (const smaller of shrinkCandidates(value[i])) {
+        const copy = value.slice();
+        copy[i] = smaller;
+        yield copy;
+      }
+    }
+    return;
+  }
+
+  if (Object.prototype.hasOwnProperty.call(value, TO_JSON_INNER)) {
+    const inner = value[TO_JSON_INNER];
+    yield inner;
+    for (const smaller of shrinkCandidates(inner)) {
+      yield makeToJSON(smaller, value.toJSON.length > 0);
+    }
+    return;
+  }
+  // Dates and boxed primitives: the primitive they serialize as
+  if (!Object.keys(value).length && Object.getPrototypeOf(value) !== Object.prototype && Object.getPrototypeOf(value) !== null) {
+    yield null;
+    return;
+  }
+
+  const keys = Object.keys(value);
+  for (const key of keys) yield value[key];
+  for (const key of keys) yield copyObject(value, key);
+  for (const key of keys) {
+    for (const smaller of shrinkCandidates(value[key])) {
+      yield copyObject(value, null, { [key]: smaller });
+    }
+  }
+}
+
+// Greedily replaces `value` with the first simpler candidate that still
+// fails until none does
+async function shrink(value, fails) {
+  let current = value;
+  let steps = 0;
+  for (let improved = true; improved && steps < 1000;) {
+    improved = false;
+    for (const candidate of shrinkCandidates(current)) {
+      if (await fails(candidate)) {
+        current = candidate;
+        improved = true;
+        steps++;
+        break;
+      }
+    }
+  }
+  return current;
+}
+
+// ============================================================================
+// Targets
+// ============================================================================
+
+// Fixed replacers and revivers, so a reproducer can name the one it used
+const REPLACERS = {
+  none: null,
+  keyList: ['a', 'b', '0', '__proto__', ''],
+  numericKeyList: [0, 1, 'x', new String('y'), new Number(2)],
+  dropShortKeys: function dropShortKeys(key, value) {
+    return key.length === 1 ? undefined : value;
+  },
+  numbersToStrings: function numbersToStrings(key, value) {
+    return typeof value === 'number' ? String(value) : value;
+  },
+  wrapHolder: function wrapHolder(key, value) {
+    // `this` is the holder; the root holder is { "": value }
+    return key === '' ? { root: value, holderKeys: Object.keys(this) } : value;
+  }
+};
+
+const SPACES = [undefined, 0, 2, 11, '\t', 'abcdefghijklmn', new Number(3), new String('--')];
+
+const REVIVERS = {
+  none: undefined,
+  dropShortKeys: function dropShortKeys(key, value) {
+    return key.length === 1 ? undefined : value;
+  },
+  doubleNumbers: function doubleNumbers(key, value) {
+    return typeof value === 'number' ? value * 2 : value;
+  },
+  holderKeys: function holderKeys(key, value) {
+    // `this` is the holder, already revived up to `key`
+    return key === '' ? value : [Object.keys(this).length, value];
+  }
+};
+
+// Gaps that are documented behaviour, not bugs: the feature is left out of
+// the values that approach gets
+const KNOWN_GAPS = {
+  // Drops holes and undefined elements, writes control characters raw,
+  // replaces lone surrogates (see "Workload Profiles" in the README), writes
+  // boxed primitives as objects, doesn't pass toJSON its key, and its parser
+  // turns "__proto__" keys into prototypes
+  yieldable: ['holes', 'skipped', 'controlChars', 'loneSurrogates', 'boxed', 'toJSON', 'protoKeys', 'bigint'],
+  // Input is structured-cloned: functions and symbols don't clone, and
+  // toJSON methods and prototypes are lost on the way
+  worker: ['skipped', 'toJSON', 'boxed', 'nullProto', 'protoKeys', 'bigint']
+};
+
+const STREAM_CHUNK_SIZE = 16;
+
+// The deepest nesting, longest array and longest string in a parsed value
+function measure(value, depth = 0, sizes = { maxDepth: 0, maxArrayLength: 0, maxStringLength: 0 }) {
+  if (typeof value === 'string') {
+    sizes.maxStringLength = Math.max(sizes.maxStringLength, value.length);
+  } else if (value !== null && typeof value === 'object') {
+    sizes.maxDepth = Math.max(sizes.maxDepth, depth + 1);
+    if (Array.isArray(value)) sizes.maxArrayLength = Math.max(sizes.maxArrayLength, value.length);
+    for (const item of Object.values(value)) measure(item, depth + 1, sizes);
+  }
+  return sizes;
+}
+
+function collect(readable) {
+  return new Promise((resolve, reject) => {
+    let text = '';
+    readable.on('data', chunk => { text += chunk; });
+    readable.on('end', () => resolve(text));
+    readable.on('error', reject);
+  });
+}
+
+// Library entry points, called with the replacer and space (or reviver)
+// variations the approaches don't get. `yieldEveryMs: 0` yields at every clock read and the small chunk
+// size cuts strings at many places, so yield and chunk paths are exercised
+// even on small values
+const LIBRARY_TARGETS = [
+  {
+    name: 'stringifyAsync (walk)',
+    stringify: (value, replacer, space) =>
+      stringifyAsync(value, { strategy: 'walk', replacer, space, yieldEveryMs: 0 })
+  },
+  {
+    name: 'stringifyAsync (fast-path)',
+    stringify: (value, replacer, space) =>
+      stringifyAsync(value, { replacer, space, yieldEveryMs: 0 })
+  },
+  {
+    name: 'stringifyAsync (onProgress)',
+    stringify: async (value, replacer, space) => {
+      let last = null;
+      const output = await stringifyAsync(value, {
+        replacer, space, yieldEveryMs: 0, prescan: true, onProgress: progress => { last = progress; }
+      });
+      // The final report has to account for every byte
+      if (output !== undefined && (last.fraction !== 1 || last.bytes !== Buffer.byteLength(output))) {
+        throw new Error(`Final progress ${util.inspect(last)} for ${Buffer.byteLength(output)} bytes`);
+      }
+      return output;
+    }
+  },
+  {
+    name: 'stringifyAsync (limits exactly met)',
+    stringify: (value, replacer, space) => {
+      // Every limit set to what native output needs, so none may be reached
+      let limits = {};
+      try {
+        const text = JSON.stringify(value, replacer, space);
+        if (text !== undefined) limits = { ...measure(JSON.parse(text)), maxBytes: Buffer.byteLength(text) };
+      } catch (error) {
+        // Native throws; the library has to throw the same without limits
+      }
+      return stringifyAsync(value, { replacer, space, yieldEveryMs: 0, ...limits });
+    }
+  },
+  {
+    name: 'Serializer (paused at every chance)',
+    stringify: async (value, replacer, space) => {
+      const serializer = new Serializer(value, { replacer, space, yieldEveryMs: 0 });
+      const result = serializer.start();
+      result.catch(() => {});
+      while (serializer.state === 'running') {
+        await serializer.pause();
+        await serializer.resume();
+      }
+      return result;
+    }
+  },
+  {
+    name: 'stringifyStream',
+    stringify: async (value, replacer, space) => {
+      const text = await collect(stringifyStream(value, { replacer, space, yieldEveryMs: 0, chunkSize: STREAM_CHUNK_SIZE }));
+      // The stream has no way to say "undefined"; it ends empty
+      return text === '' ? undefined : text;
+    }
+  },
+  {
+    name: 'pipeStringify',
+    stringify: async (value, replacer, space) => {
+      let text = '';
+      await pipeStringify(value, new Writable({
+        decodeStrings: false,
+        write(chunk, encoding, callback) {
+          text += chunk;
+          callback();
+        }
+      }), { replacer, space, yieldEveryMs: 0, chunkSize: STREAM_CHUNK_SIZE });
+      return text === '' ? undefined : text;
+    }
+  },
+  {
+    name: 'parseAsync',
+    parse: (text, reviver) => parseAsync(text, { reviver, yieldEveryMs: 0 })
+  }
+];
+
+// Fixed cycles, as native never writes them: for 'throw' the message has
+// to be native's, and the other policies have a fixed output
+const CYCLE_CASES = [
+  {
+    name: 'object inside itself',
+    make: () => {
+      const root = { name: 'a' };
+      root.self = root;
+      return root;
+    },
+    placeholder: '{"name":"a","self":"[Circular]"}',
+    ref: '{"name":"a","self":{"$ref":"#"}}'
+  },
+  {
+    name: 'through an array',
+    make: () => {
+      const root = { items: [1] };
+      root.items.push(root);
+      return root;
+    },
+    placeholder: '{"items":[1,"[Circular]"]}',
+    ref: '{"items":[1,{"$ref":"#"}]}'
+  },
+  {
+    name: 'back to a nested object, keys to escape',
+    make: () => {
+      const inner = { 'c~d': {} };
+      inner['c~d'].back = inner;
+      return { 'a/b': inner };
+    },
+    placeholder: '{"a/b":{"c~d":{"back":"[Circular]"}}}',
+    ref: '{"a/b":{"c~d":{"back":{"$ref":"#/a~1b"}}}}'
+  },
+  {
+    name: 'shared object with a cycle, in two places',
+    make: () => {
+      const shared = { v: 1 };
+      shared.loop = [shared];
+      return { first: shared, second: shared };
+    },
+    placeholder: '{"first":{"v":1,"loop":["[Circular]"]},"second":{"v":1,"loop":["[Circular]"]}}',
+    ref: '{"first":{"v":1,"loop":[{"$ref":"#/first"}]},"second":{"v":1,"loop":[{"$ref":"#/second"}]}}'
+  }
+];
+
+// Library entry points that take onCycle
+const CYCLE_TARGETS = [
+  {
+    name: 'stringifyAsync (walk)',
+    stringify: (value, onCycle) => stringifyAsync(value, { strategy: 'walk', onCycle, yieldEveryMs: 0 })
+  },
+  {
+    name: 'stringifyAsync (fast-path)',
+    stringify: (value, onCycle) => stringifyAsync(value, { onCycle, yieldEveryMs: 0 })
+  },
+  {
+    name: 'stringifyStream',
+    stringify: (value, onCycle) => collect(stringifyStream(value, { onCycle, yieldEveryMs: 0, chunkSize: STREAM_CHUNK_SIZE }))
+  },
+  {
+    name: 'pipeStringify',
+    stringify: async (value, onCycle) => {
+      let text = '';
+      await pipeStringify(value, new Writable({
+        decodeStrings: false,
+        write(chunk, encoding, callback) {
+          text += chunk;
+          callback();
+        }
+      }), { onCycle, yieldEveryMs: 0, chunkSize: STREAM_CHUNK_SIZE });
+      return text;
+    }
+  }
+];
+
+// ============================================================================
+// Checks
+// ============================================================================
+
+// Output, or the error's name: messages differ between engines and the
+// library, but a BigInt must still be a TypeError
+async function outcomeOf(fn) {
+  try {
+    return { output: await fn() };
+  } catch (error) {
+    return { error: error.name, message: error.message };
+  }
+}
+
+function sameOutcome(actual, expected) {
+  return 'error' in expected ? actual.error === expected.error : actual.output === expected.output;
+}
+
+function describeOutcome(outcome) {
+  return 'error' in outcome ? `throws ${outcome.error}: ${outcome.message}` : util.inspect(outcome.output);
+}
+
+// Runs `cases` through `check(value, testCase)`, which returns { expected,
+// actual }. The first failure is shrunk, keeping the case's other
+// arguments, and returned as report lines
+async function runCases(cases, check) {
+  for (const testCase of cases) {
+    const first = await check(testCase.value, testCase);
+    if (sameOutcome(first.actual, first.expected)) continue;
+
+    const minimal = await shrink(testCase.value, async candidate => {
+      const { expected, actual } = await check(candidate, testCase);
+      return !sameOutcome(actual, expected);
+    });
+    const { expected, actual } = await check(minimal, testCase);
+    return [
+      testCase.label,
+      `Minimal value: ${util.inspect(minimal, { depth: null })}`,
+      `Expected:      ${describeOutcome(expected)}`,
+      `Actual:        ${describeOutcome(actual)}`
+    ];
+  }
+  return null;
+}
+
+// `space`, unboxed, with indents that aren't whitespace replaced by 2:
+// only a whitespace indent keeps the text valid JSON
+function jsonIndent(space) {
+  const gap = space !== null && typeof space === 'object' ? space.valueOf() : space;
+  return typeof gap === 'string' && /\S/.test(gap) ? 2 : gap;
+}
+
+// Parses what native writes for `value` with both parsers and compares the
+// results by writing them out again; own "__proto__" keys only survive that
+// if the parser kept them
+async function checkParse(value, space, parse, nativeParse) {
+  const indent = jsonIndent(space);
+  let text;
+  try {
+    text = JSON.stringify(value, null, indent);
+  } catch (error) {
+    text = undefined;
+  }
+  if (text === undefined) return { expected: { output: null }, actual: { output: null } };
+  return {
+    expected: await outcomeOf(() => JSON.stringify(nativeParse(text))),
+    actual: await outcomeOf(async () => JSON.stringify(await parse(text)))
+  };
+}
+
+// Random limits, each set half the time, and their policies. A stream of
+// its own keeps the values of a seed the same as without limits
+function generateLimits(random) {
+  const limits = {};
+  const sizes = { maxBytes: [0, 1, 8, 40, 200], maxDepth: [0, 1, 2, 3], maxArrayLength: [0, 1, 3], maxStringLength: [0, 1, 5, 30] };
+  for (const [name, choices] of Object.entries(sizes)) {
+    if (random.next() < 0.5) limits[name] = random.pick(choices);
+  }
+  const policies = ['throw', 'truncate', 'omit'];
+  limits.onLimit = random.next() < 0.5
+    ? random.pick(policies)
+    : Object.fromEntries(Object.keys(sizes).map(name => [name, random.pick(policies)]));
+  return limits;
+}
+
+const LIMIT_MARKER = /^(\[Object\]|\[Array\]|\[truncated\]|\[\.\.\. \d+ more items\])$/;
+const TRUNCATED_STRING = /^([\s\S]*)\.\.\.\[truncated \d+ characters\]$/;
+
+// Why `output` breaks one of `limits`, or null. Under maxBytes it may run
+// over by a marker and the brackets that close it
+function limitViolation(output, limits, space) {
+  let parsed;
+  try {
+    parsed = JSON.parse(output);
+  } catch (error) {
+    return `invalid JSON: ${error.message}`;
+  }
+  const { maxDepth = Infinity, maxArrayLength = Infinity, maxStringLength = Infinity, maxBytes = Infinity } = limits;
+  let violation = null;
+  const visit = (value, depth) => {
+    if (typeof value === 'string') {
+      const truncated = TRUNCATED_STRING.exec(value);
+      const kept = truncated ? truncated[1] : value;
+      if (kept.length > maxStringLength && !LIMIT_MARKER.test(value)) violation = `string of ${kept.length} characters`;
+    } else if (value !== null && typeof value === 'object') {
+      if (depth + 1 > maxDepth) violation = `nesting ${depth + 1} levels deep`;
+      const items = Object.values(value);
+      // One more item for the "[... N more items]" marker
+      if (Array.isArray(value) && items.length > maxArrayLength + 1) violation = `array of ${items.length} items`;
+      for (const item of items) visit(item, depth + 1);
+    }
+  };
+  visit(parsed, 0);
+  if (violation) return violation;
+
+  const gapBytes = typeof space === 'number' ? Math.min(Math.max(Math.floor(space), 0), 10) : typeof space === 'string' ? space.slice(0, 10).length : 0;
+  const depth = measure(parsed).maxDepth + 1;
+  const slack = depth * (2 + depth * gapBytes) + '\n,"...": "[truncated]"'.length + depth * gapBytes;
+  const bytes = Buffer.byteLength(output);
+  return bytes > maxBytes + slack ? `${bytes} bytes` : null;
+}
+
+// Runs a case with its random limits. Only a 'throw' policy may reject and
+// the output has to stay within the limits. Where native throws, so may the
+// library, unless a limit left the value out first. The fast path has to
+// cut in the same places as the walk
+async function checkLimits(value, { replacer, space: caseSpace, limits }) {
+  const space = jsonIndent(caseSpace);
+  const native = await outcomeOf(() => JSON.stringify(value, REPLACERS[replacer], space));
+  const expected = { output: 'within limits' };
+  const options = { replacer: REPLACERS[replacer], space, yieldEveryMs: 0, ...limits };
+  const actual = await outcomeOf(async () => {
+    const walked = await outcomeOf(() => stringifyAsync(value, { ...options, strategy: 'walk' }));
+    let output;
+    try {
+      output = await stringifyAsync(value, options);
+    } catch (error) {
+      if (error.message !== walked.message) throw new Error(`threw ${error.message} where the walk ${describeOutcome(walked)}`);
+      const policy = typeof limits.onLimit === 'string' ? limits.onLimit : limits.onLimit[error.limit];
+      if (error instanceof LimitExceededError ? policy === 'throw' : error.name === native.error) return expected.output;
+      throw error;
+    }
+    if (output !== walked.output) throw new Error(`wrote ${util.inspect(output)} where the walk ${describeOutcome(walked)}`);
+    // Omitting can leave nothing to write
+    if (output === undefined) return expected.output;
+    const violation = limitViolation(output, limits, space);
+    if (violation) throw new Error(`${violation} in ${util.inspect(output)} with ${util.inspect(limits)}`);
+    return expected.output;
+  });
+  return { expected, actual };
+}
+
+// Every CYCLE_CASES value through `target` under each policy; report lines
+// for the first that comes out wrong, or null
+async function checkCycles(target) {
+  for (const testCase of CYCLE_CASES) {
+    for (const onCycle of ['throw', 'placeholder', 'ref']) {
+      const expected = onCycle === 'throw'
+        ? await outcomeOf(() => JSON.stringify(testCase.make()))
+        : { output: testCase[onCycle] };
+      const actual = await outcomeOf(() => target.stringify(testCase.make(), onCycle));
+      const same = 'error' in expected
+        ? actual.error === expected.error && actual.message === expected.message
+        : actual.output === expected.output;
+      if (!same) {
+        return [
+          `${testCase.name}, onCycle '${onCycle}'`,
+          `Expected:      ${describeOutcome(expected)}`,
+          `Actual:        ${describeOutcome(actual)}`
+        ];
+      }
+    }
+  }
+  return null;
+}
+
+function makeCases(seed, runs, features, withArgs) {
+  const random = createRandom(seed);
+  const limitRandom = createRandom(~seed);
+  const has = Object.fromEntries(ALL_FEATURES.map(feature => [feature, features.includes(feature)]));
+  const cases = [];
+  for (let i = 0; i < runs; i++) {
+    const value = generateValue(random, has);
+    const replacer = withArgs ? random.pick(Object.keys(REPLACERS)) : 'none';
+    const reviver = withArgs ? random.pick(Object.keys(REVIVERS)) : 'none';
+    // Parse checks read indented text for every other case
+    const space = withArgs ? random.pick(SPACES) : (i % 2 ? 2 : undefined);
+    const args = withArgs ? `, replacer/reviver ${replacer}/${reviver}, space ${util.inspect(space)}` : '';
+    const limits = withArgs ? generateLimits(limitRandom) : null;
+    cases.push({ value, replacer, reviver, space, limits, label: `Case ${i + 1} of seed ${seed}${args}` });
+  }
+  return cases;
+}
+
+function parseArgs(argv) {
+  const options = { seed: 1, runs: 500 };
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i];
+    if (name !== '--seed' && name !== '--runs') {
+      throw new Error(`Unknown option: ${name} (expected --seed <n> or --runs <n>)`);
+    }
+    const value = Number(argv[++i]);
+    if (!Number.isInteger(value) || value < (name === '--runs' ? 1 : 0)) {
+      throw new Error(`${name} needs a ${name === '--runs' ? 'positive' : 'non-negative'} integer`);
+    }
+    options[name.slice(2)] = value;
+  }
+  return options;
+}
+
+// ============================================================================
+// Main
+// ============================================================================
+
+async function main({ seed, runs }) {
+  console.log(`Conformance tests: ${runs} random values per target, seed ${seed}\n`);
+  const failures = [];
+  const report = (name, failure) => {
+    if (failure) {
+      failures.push(name);
+      console.log(`❌ ${name}`);
+      for (const line of failure) console.log(`   ${line}`);
+    } else {
+      console.log(`✅ ${name}`);
+    }
+  };
+
+  for (const approach of registry.values()) {
+    if (!approach.available()) {
+      console.log(`⚠️  ${approach.name}: unavailable (${approach.unavailableReason || 'not supported here'})`);
+      continue;
+    }
+    const gaps = KNOWN_GAPS[approach.key] || [];
+    const features = ALL_FEATURES.filter(feature => !gaps.includes(feature));
+    const gapNote = gaps.length > 0 ? ` (without ${gaps.join(', ')})` : '';
+
+    const cases = makeCases(seed, runs, features, false);
+    report(`${approach.name} stringify${gapNote}`, await runCases(cases, async value => ({
+      expected: await outcomeOf(() => JSON.stringify(value)),
+      actual: await outcomeOf(() => approach.stringify(value, {}))
+    })));
+
+    if (approach.parse) {
+      // Parse what native wrote, indented or not, and compare by writing it
+      // out again; own "__proto__" keys survive that only if they were kept
+      report(`${approach.name} parse${gapNote}`, await runCases(cases, (value, { space }) =>
+        checkParse(value, space, text => approach.parse(text, {}), text => JSON.parse(text))));
+    }
+  }
+
+  const libraryCases = makeCases(seed, runs, ALL_FEATURES, true);
+  for (const target of LIBRARY_TARGETS) {
+    report(target.name, await runCases(libraryCases, target.parse
+      ? (value, { space, reviver }) =>
+          checkParse(value, space, text => target.parse(text, REVIVERS[reviver]), text => JSON.parse(text, REVIVERS[reviver]))
+      : async (value, { replacer, space }) => ({
+          expected: await outcomeOf(() => JSON.stringify(value, REPLACERS[replacer], space)),
+          actual: await outcomeOf(() => target.stringify(value, REPLACERS[replacer], space))
+        })));
+  }
+  report('stringifyAsync (random limits and policies)', await runCases(libraryCases, checkLimits));
+  for (const target of CYCLE_TARGETS) {
+    report(`${target.name} cycles (throw, placeholder, ref)`, await checkCycles(target));
+  }
+
+  console.log(failures.length === 0
+    ? '\nAll conformance checks passed'
+    : `\n${failures.length} conformance check(s) failed; rerun with --seed ${seed} to reproduce`);
+  return failures.length === 0;
+}
+
+if (require.main === module) {
+  let options = null;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 2;
+  }
+
+  if (options) {
+    main(options)
+      .then(passed => {
+        if (!passed) process.exitCode = 1;
+      })
+      .catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+      })
+      .finally(destroyDefaultWorkerPool);
+  }
+}
@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+
+/**
+ * CooperativeScheduler: waiting tasks go by priority, higher priorities get
+ * the larger share, and on a mixed workload short serializations get ahead
+ * of long ones with slowdowns that stay within a fairness bound. Any failing
+ * check makes the run exit with code 1
+ */
+
+const { performance } = require('perf_hooks');
+const { createRandom, createTestObject } = require('../benchmark');
+const { stringifyAsync, CooperativeScheduler } = require('../index');
+
+const SEED = 1;
+const SIZES = [10, 100, 1000];
+const TASKS = 24;
+const RUNS = 5;
+
+// Weighted Jain's index the mixed workload must reach. The concurrent
+// serializations test in the benchmark sees about 0.8 for the scheduler
+// and 0.4-0.55 for independent yielding
+const MIN_FAIRNESS = 0.6;
+
+// Jain's fairness index: 1 when every value is equal, 1/n when one value
+// takes everything
+function jainIndex(values) {
+  const sum = values.reduce((a, b) => a + b, 0);
+  const squares = values.reduce((a, b) => a + b * b, 0);
+  return sum * sum / (values.length * squares);
+}
+
+// Starts every spec at once under `scheduler` and resolves to each one's
+// completion time in ms, in spec order
+async function runAll(specs, scheduler, yieldEveryMs = 5) {
+  const start = performance.now();
+  return Promise.all(specs.map(async ({ value, priority }) => {
+    await stringifyAsync(value, { scheduler, priority, yieldEveryMs });
+    return performance.now() - start;
+  }));
+}
+
+// Median time of `value` serialized alone, after a warmup run
+async function soloMs(value) {
+  const times = [];
+  for (let i = 0; i < 6; i++) {
+    const start = performance.now();
+    await stringifyAsync(value);
+    if (i > 0) times.push(performance.now() - start);
+  }
+  return times.sort((a, b) => a - b)[Math.floor(times.length / 2)];
+}
+
+// With the only slot taken, waiting tasks are admitted by priority as the
+// slot frees up, and in order of arrival within one priority
+async function checkAdmissionOrder() {
+  const scheduler = new CooperativeScheduler({ concurrency: 1 });
+  const admitted = [];
+  await Promise.all([0, 0, 1, 0, 2].map(async (priority, i) => {
+    const task = await scheduler.acquire({ priority });
+    admitted.push(i);
+    scheduler.release(task);
+  }));
+  return {
+    passed: admitted.join() === '0,4,2,1,3',
+    detail: `admitted ${admitted.map(i => `#${i + 1}`).join(', ')}`
+  };
+}
+
+// Equal tasks, half of them priority 1: each of those gets twice the share,
+// so both finish before either priority 0 one
+async function checkPriorityShare() {
+  const value = createTestObject(1000, { seed: SEED });
+  const specs = [0, 1, 0, 1].map(priority => ({ value, priority }));
+  const done = await runAll(specs, new CooperativeScheduler({ concurrency: specs.length }));
+  const finished = priority => done.filter((_, i) => specs[i].priority === priority);
+  const last = Math.max(...finished(1));
+  const first = Math.min(...finished(0));
+  return {
+    passed: last < first,
+    detail: `priority 1 done by ${last.toFixed(1)}ms, priority 0 from ${first.toFixed(1)}ms`
+  };
+}
+
+// The benchmark's concurrent serializations workload, RUNS times each way
+// after an untimed warmup: the median Jain's index of slowdowns weighted by
+// 2 ** priority must reach MIN_FAIRNESS and beat independent yielding, and
+// in every run each small task must be done before any large one
+async function checkMixedWorkload() {
+  const random = createRandom(SEED);
+  const objects = new Map(SIZES.map(size => [size, createTestObject(size, { seed: SEED })]));
+  const specs = Array.from({ length: TASKS }, (_, i) => {
+    const size = random.pick(SIZES);
+    return { size, value: objects.get(size), priority: i % 4 === 3 ? 1 : 0 };
+  });
+  await runAll(specs, new CooperativeScheduler({ concurrency: 4 }));
+  const solo = new Map();
+  for (const size of SIZES) solo.set(size, await soloMs(objects.get(size)));
+
+  const fairness = done => jainIndex(done.map((ms, i) => ms / solo.get(specs[i].size) * 2 ** specs[i].priority));
+  const median = values => [...values].sort((a, b) => a - b)[Math.floor(values.length / 2)];
+  const shared = [];
+  const independent = [];
+  let smallFirst = true;
+  for (let run = 0; run < RUNS; run++) {
+    const done = await runAll(specs, new CooperativeScheduler({ concurrency: 4 }));
+    shared.push(fairness(done));
+    const sized = size => done.filter((_, i) => specs[i].size === size);
+    smallFirst = smallFirst && Math.max(...sized(SIZES[0])) < Math.min(...sized(SIZES[SIZES.length - 1]));
+    independent.push(fairness(await runAll(specs, null)));
+  }
+  const format = values => values.map(value => value.toFixed(3)).join(', ');
+  return {
+    passed: median(shared) >= MIN_FAIRNESS && median(shared) > median(independent) && smallFirst,
+    detail: `weighted Jain's index ${median(shared).toFixed(3)} (runs: ${format(shared)}), ` +
+      `independent ${median(independent).toFixed(3)} (runs: ${format(independent)}), ` +
+      `size ${SIZES[0]} ${smallFirst ? 'always' : 'not always'} done before size ${SIZES[SIZES.length - 1]}`
+  };
+}
+
+async function main() {
+  console.log('CooperativeScheduler priority and fairness\n');
+
+  const checks = [
+    ['Waiting tasks are admitted by priority', checkAdmissionOrder],
+    ['Priority 1 gets twice the share of priority 0', checkPriorityShare],
+    ['Mixed sizes: fairness bound, small tasks first', checkMixedWorkload]
+  ];
+
+  let failures = 0;
+  for (const [index, [label, check]] of checks.entries()) {
+    let passed = false;
+    let detail = '';
+    try {
+      ({ passed, detail } = await check());
+    } catch (error) {
+      detail = error.message;
+    }
+    if (!passed) failures++;
+    console.log(`${passed ? '✅' : '❌'} ${index + 1}. ${label} (${detail})`);
+  }
+
+  console.log(failures === 0 ? '\nAll scheduler checks passed' : `\n${failures} scheduler check(s) failed`);
+  return failures === 0;
+}
+
+if (require.main === module) {
+  main()
+    .then(passed => {
+      if (!passed) process.exitCode = 1;
+    })
+    .catch(error => {
+      console.error(error);
+      process.exitCode = 1;
+    });
+}
@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+/**
+ * sendJson against a local HTTP server: buffered and chunked bodies, gzip
+ * and brotli, both timeout policies and a client that hangs up mid-body.
+ * Any failing check makes the run exit with code 1
+ */
+
+const http = require('http');
+const zlib = require('zlib');
+const { createTestObject } = require('../benchmark');
+const { sendJson } = require('../index');
+
+const SEED = 1;
+const YIELD_EVERY_MS = 5;
+
+// GETs `path` from a local server and collects the raw (still compressed)
+// body. `destroyAfter` bytes, if given, makes the client hang up early
+function fetchLocal(port, path, { headers = {}, destroyAfter } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.get({ host: '127.0.0.1', port, path, headers }, res => {
+      const chunks = [];
+      let received = 0;
+      res.on('data', chunk => {
+        chunks.push(chunk);
+        received += chunk.length;
+        if (destroyAfter !== undefined && received >= destroyAfter) {
+          req.destroy();
+          resolve({ res, body: Buffer.concat(chunks), complete: false });
+        }
+      });
+      res.on('end', () => resolve({ res, body: Buffer.concat(chunks), complete: true }));
+      res.on('aborted', () => resolve({ res, body: Buffer.concat(chunks), complete: false }));
+    });
+    req.on('error', error => {
+      if (destroyAfter === undefined) reject(error);
+    });
+  });
+}
+
+async function main() {
+  console.log('sendJson against a local HTTP server\n');
+
+  const small = createTestObject(10, { seed: SEED });
+  const large = createTestObject(1000, { seed: SEED });
+  const smallText = JSON.stringify(small);
+  const largeText = JSON.stringify(large);
+
+  // [label, sendJson options, value, client options, check(response, server outcome)]
+  const cases = [
+    ['Small body, Content-Length', {}, small, {}, ({ res, body }, sent) =>
+      res.headers['content-length'] === String(body.length) && body.toString() === smallText && sent.outcome === 'sent'],
+    ['Large body, chunked', {}, large, {}, ({ res, body }, sent) =>
+      res.headers['transfer-encoding'] === 'chunked' && body.toString() === largeText && sent.chunked],
+    ['gzip, negotiated', { compress: 'auto' }, small, { headers: { 'accept-encoding': 'gzip, deflate' } }, ({ res, body }) =>
+      res.headers['content-encoding'] === 'gzip' && zlib.gunzipSync(body).toString() === smallText],
+    ['brotli, chunked', { compress: 'br' }, large, {}, ({ res, body }) =>
+      res.headers['content-encoding'] === 'br' && zlib.brotliDecompressSync(body).toString() === largeText],
+    ['Timeout, 503', { timeoutMs: 5, maxBuffer: Infinity }, large, {}, ({ res, body }, sent) =>
+      res.statusCode === 503 && JSON.parse(body).error.includes('timeout') && sent.outcome === 'timeout'],
+    // Small chunks, so the body has started well before the timeout even
+    // in a cold process; the whole payload takes far longer
+    ['Timeout, partial', { timeoutMs: 50, onTimeout: 'partial', maxBuffer: 16 * 1024, chunkSize: 4096 }, large, {}, ({ res, body, complete }, sent) =>
+      res.statusCode === 200 && complete && body.length > 0 && body.length < largeText.length && sent.outcome === 'timeout'],
+    ['Client disconnect', { maxBuffer: 16 * 1024 }, large, { destroyAfter: 1 }, (response, sent) =>
+      sent.outcome === 'aborted' && sent.bytes < largeText.length]
+  ];
+
+  let current = null;
+  const server = http.createServer((req, res) => {
+    const [, options, value] = current;
+    const started = process.hrtime.bigint();
+    current.outcome = sendJson(res, value, { yieldEveryMs: YIELD_EVERY_MS, req, ...options })
+      .then(outcome => ({ ...outcome, ms: Number(process.hrtime.bigint() - started) / 1e6 }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  let failures = 0;
+  try {
+    for (const [index, testCase] of cases.entries()) {
+      const [label, , , clientOptions, check] = testCase;
+      current = testCase;
+      let passed = false;
+      let detail = '';
+      try {
+        const response = await fetchLocal(port, '/', clientOptions);
+        const sent = await testCase.outcome;
+        passed = check(response, sent);
+        const encoding = sent.encoding ? `, ${sent.encoding}` : '';
+        detail = `${response.res.statusCode}, ${sent.outcome} after ${sent.ms.toFixed(1)}ms, ` +
+          `${(sent.bytes / 1024).toFixed(1)} KB serialized, ${(response.body.length / 1024).toFixed(1)} KB received` +
+          `${sent.chunked ? ', chunked' : ''}${encoding}`;
+      } catch (error) {
+        detail = error.message;
+      }
+      if (!passed) failures++;
+      console.log(`${passed ? '✅' : '❌'} ${index + 1}. ${label} (${detail})`);
+    }
+  } finally {
+    await new Promise(resolve => server.close(() => resolve()));
+  }
+
+  console.log(failures === 0 ? '\nAll sendJson checks passed' : `\n${failures} sendJson check(s) failed`);
+  return failures === 0;
+}
+
+if (require.main === module) {
+  main()
+    .then(passed => {
+      if (!passed) process.exitCode = 1;
+    })
+    .catch(error => {
+      console.error(error);
+      process.exitCode = 1;
+    });
+}